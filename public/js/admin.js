@@ -0,0 +1,378 @@
+/**
+ * Admin Dashboard - Live room overview backed by the admin event stream
+ */
+(function () {
+    // DOM Elements
+    const loginCard = document.getElementById('admin-login-card');
+    const loginForm = document.getElementById('admin-login-form');
+    const tokenInput = document.getElementById('admin-token');
+    const dashboard = document.getElementById('admin-dashboard');
+    const roomsContainer = document.getElementById('admin-rooms');
+    const roomCountEl = document.getElementById('admin-room-count');
+    const activityList = document.getElementById('admin-activity');
+    const signOutBtn = document.getElementById('admin-sign-out');
+    const connectionBanner = document.getElementById('connection-banner');
+    const connectionMessage = document.getElementById('connection-message');
+    const errorToast = document.getElementById('error-toast');
+    const errorMessage = document.getElementById('error-message');
+
+    // Settings
+    const CHAT_RATE_WINDOW = 60000; // Chat rate is messages over the last minute
+    const MAX_ACTIVITY = 50;
+
+    // State
+    let adminToken = sessionStorage.getItem('adminToken');
+    let rooms = new Map(); // Map<roomId, RoomDetails>
+    const chatTimes = new Map(); // Map<roomId, timestamps of recent chat messages>
+    const activity = [];
+
+    // Activity feed wording per event
+    const EVENT_LABELS = {
+        'room-created': 'created the room',
+        'room-deleted': 'Room closed',
+        'participant-joined': 'joined',
+        'participant-left': 'left',
+        'participant-suspended': 'dropped (holding slot)',
+        'participant-resumed': 'reconnected',
+        'stream-started': 'started streaming',
+        'stream-stopped': 'stopped streaming',
+        'room-locked': 'Room locked',
+        'room-unlocked': 'Room unlocked'
+    };
+
+    /**
+     * Initialize the dashboard
+     */
+    async function init() {
+        // Handlers are registered before connecting so the first 'connected' subscribes
+        signaling.on('connected', () => {
+            setConnected(true);
+            subscribe();
+        });
+
+        signaling.on('disconnected', () => {
+            setConnected(false);
+        });
+
+        signaling.on('connection-refused', (message) => {
+            showError(`Connection refused: ${message.reason}`);
+        });
+
+        signaling.on('admin-subscribed', (message) => {
+            rooms = new Map(message.rooms.map(room => [room.id, room]));
+            showDashboard(true);
+            renderRooms();
+        });
+
+        signaling.on('admin-error', (message) => {
+            showError(message.error);
+            signOut();
+        });
+
+        signaling.on('admin-event', handleAdminEvent);
+
+        signaling.on('protocol-error', (message) => {
+            showError(message.error);
+        });
+
+        signaling.on('rate-limited', (message) => {
+            showError(`Too many requests. Try again in ${message.retryAfter}s`);
+        });
+
+        // The dashboard ignores the public lobby traffic
+        signaling.on('server-config', () => { });
+        signaling.on('room-list', () => { });
+        signaling.on('system-notice', () => { });
+
+        loginForm.addEventListener('submit', handleLogin);
+        signOutBtn.addEventListener('click', signOut);
+        roomsContainer.addEventListener('click', handleRoomAction);
+
+        // Live durations and chat rates
+        setInterval(updateLiveStats, 1000);
+
+        try {
+            await signaling.connect();
+        } catch (e) {
+            setConnected(false);
+            console.error('Failed to connect:', e);
+        }
+    }
+
+    /**
+     * Ask the server for the admin event stream
+     */
+    function subscribe() {
+        if (adminToken && signaling.isConnected) {
+            signaling.send({ type: 'admin-subscribe', token: adminToken });
+        }
+    }
+
+    /**
+     * Handle sign in form submission
+     */
+    function handleLogin(e) {
+        e.preventDefault();
+
+        const token = tokenInput.value.trim();
+        if (!token) {
+            showError('Please enter the admin token');
+            return;
+        }
+
+        adminToken = token;
+        sessionStorage.setItem('adminToken', token);
+        tokenInput.value = '';
+        subscribe();
+    }
+
+    /**
+     * Forget the token and go back to the sign in card
+     * Subscriptions last as long as the socket, so reconnect to drop it
+     */
+    function signOut() {
+        const wasSubscribed = !dashboard.classList.contains('hidden');
+
+        adminToken = null;
+        sessionStorage.removeItem('adminToken');
+        rooms = new Map();
+        chatTimes.clear();
+        activity.length = 0;
+        showDashboard(false);
+
+        if (wasSubscribed) {
+            signaling.disconnect();
+        }
+    }
+
+    /**
+     * Apply a live room event
+     */
+    function handleAdminEvent(event) {
+        // Keep the name of a deleted room for its activity entry
+        const previous = rooms.get(event.roomId);
+        const roomName = event.room ? event.room.name : previous ? previous.name : event.roomId;
+
+        if (event.room) {
+            rooms.set(event.roomId, event.room);
+        } else {
+            rooms.delete(event.roomId);
+            chatTimes.delete(event.roomId);
+        }
+
+        if (event.event === 'chat-message') {
+            const times = chatTimes.get(event.roomId) || [];
+            times.push(event.timestamp);
+            chatTimes.set(event.roomId, times);
+        } else {
+            addActivity(event, roomName);
+        }
+
+        renderRooms();
+    }
+
+    /**
+     * Add an entry to the recent activity feed
+     */
+    function addActivity(event, roomName) {
+        const label = EVENT_LABELS[event.event] || event.event;
+        const text = event.clientId
+            ? `${event.role} ${event.clientId} ${label} in ${roomName}`
+            : `${label}: ${roomName}`;
+
+        activity.unshift({ event: event.event, text, timestamp: event.timestamp });
+        activity.length = Math.min(activity.length, MAX_ACTIVITY);
+        renderActivity();
+    }
+
+    /**
+     * Close a room or kick a client through the admin API
+     */
+    async function handleRoomAction(e) {
+        const btn = e.target.closest('[data-action]');
+        if (!btn) return;
+
+        let url;
+        let options;
+        if (btn.dataset.action === 'close-room') {
+            if (!confirm(`Close room ${btn.dataset.roomId}? Everyone in it will be sent back to the lobby.`)) return;
+            url = `/api/admin/rooms/${encodeURIComponent(btn.dataset.roomId)}`;
+            options = { method: 'DELETE' };
+        } else if (btn.dataset.action === 'kick') {
+            if (!confirm(`Kick ${btn.dataset.clientId}?`)) return;
+            url = `/api/admin/clients/${encodeURIComponent(btn.dataset.clientId)}/kick`;
+            options = { method: 'POST', body: '{}' };
+        } else {
+            return;
+        }
+
+        btn.disabled = true;
+        try {
+            const response = await fetch(url, {
+                ...options,
+                headers: { 'Authorization': `Bearer ${adminToken}`, 'Content-Type': 'application/json' }
+            });
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                showError(body.error || `Request failed (${response.status})`);
+            }
+        } catch (err) {
+            showError('Could not reach the server');
+        }
+        btn.disabled = false;
+    }
+
+    /**
+     * Render every room card
+     */
+    function renderRooms() {
+        roomCountEl.textContent = `${rooms.size} ${rooms.size === 1 ? 'room' : 'rooms'}`;
+
+        if (rooms.size === 0) {
+            roomsContainer.innerHTML = `
+        <div class="no-rooms">
+          <span class="no-rooms-icon">🏠</span>
+          <p>No active rooms.</p>
+        </div>
+      `;
+            return;
+        }
+
+        roomsContainer.innerHTML = [...rooms.values()].map(room => `
+      <div class="admin-room" data-room-id="${room.id}">
+        <div class="admin-room-header">
+          <div>
+            <span class="room-item-name">${escapeHtml(room.name)}</span>
+            <span class="room-item-id">${room.id}</span>
+          </div>
+          <button type="button" class="btn btn-danger btn-sm" data-action="close-room" data-room-id="${room.id}">Close</button>
+        </div>
+        <div class="admin-room-stats">
+          <span class="admin-stat ${room.streaming ? 'admin-stat-live' : ''}">
+            ${room.streaming ? '🔴 Live' : '⏸️ Not streaming'}
+            <span data-live-since="${room.streamingSince || ''}">${room.streaming ? formatDuration(Date.now() - room.streamingSince) : ''}</span>
+          </span>
+          <span class="admin-stat">👥 ${room.participants.length}/${room.capacity + 1}</span>
+          <span class="admin-stat">💬 <span data-chat-rate="${room.id}">${getChatRate(room.id)}</span>/min</span>
+        </div>
+        <ul class="admin-participants">
+          ${room.participants.map(participant => `
+            <li class="admin-participant ${participant.suspended ? 'admin-participant-suspended' : ''}">
+              <span class="admin-role admin-role-${participant.role}">${participant.role}</span>
+              <span class="admin-client-id">${participant.clientId}</span>
+              <span class="admin-joined">${participant.suspended ? 'reconnecting' : `joined ${formatTime(participant.joinedAt)}`}</span>
+              <button type="button" class="btn-icon-only" data-action="kick" data-client-id="${participant.clientId}" title="Kick">🚫</button>
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `).join('');
+    }
+
+    /**
+     * Render the recent activity feed
+     */
+    function renderActivity() {
+        activityList.innerHTML = activity.map(entry => `
+      <li class="admin-activity-item admin-activity-${entry.event}">
+        <span class="admin-activity-time">${formatTime(entry.timestamp)}</span>
+        <span>${escapeHtml(entry.text)}</span>
+      </li>
+    `).join('');
+    }
+
+    /**
+     * Tick stream durations and chat rates without re-rendering the cards
+     */
+    function updateLiveStats() {
+        const now = Date.now();
+
+        roomsContainer.querySelectorAll('[data-live-since]').forEach(el => {
+            const since = parseInt(el.dataset.liveSince, 10);
+            el.textContent = since ? formatDuration(now - since) : '';
+        });
+
+        roomsContainer.querySelectorAll('[data-chat-rate]').forEach(el => {
+            el.textContent = getChatRate(el.dataset.chatRate);
+        });
+    }
+
+    /**
+     * Count a room's chat messages over the last minute
+     */
+    function getChatRate(roomId) {
+        const times = chatTimes.get(roomId);
+        if (!times) return 0;
+
+        const cutoff = Date.now() - CHAT_RATE_WINDOW;
+        while (times.length > 0 && times[0] < cutoff) {
+            times.shift();
+        }
+        return times.length;
+    }
+
+    /**
+     * Format milliseconds as h:mm:ss or m:ss
+     */
+    function formatDuration(ms) {
+        const seconds = Math.max(0, Math.floor(ms / 1000));
+        const h = Math.floor(seconds / 3600);
+        const m = Math.floor((seconds % 3600) / 60);
+        const s = String(seconds % 60).padStart(2, '0');
+        return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+    }
+
+    /**
+     * Format a timestamp as a local time of day
+     */
+    function formatTime(timestamp) {
+        return new Date(timestamp).toLocaleTimeString();
+    }
+
+    /**
+     * Switch between the sign in card and the dashboard
+     */
+    function showDashboard(visible) {
+        loginCard.classList.toggle('hidden', visible);
+        dashboard.classList.toggle('hidden', !visible);
+        if (visible) {
+            renderActivity();
+        }
+    }
+
+    /**
+     * Set connection status
+     */
+    function setConnected(connected) {
+        if (connected) {
+            connectionBanner.classList.add('hidden');
+        } else {
+            connectionBanner.classList.remove('hidden');
+            connectionMessage.textContent = 'Disconnected. Reconnecting...';
+        }
+    }
+
+    /**
+     * Show error toast
+     */
+    function showError(message) {
+        errorMessage.textContent = message;
+        errorToast.classList.remove('hidden');
+
+        setTimeout(() => {
+            errorToast.classList.add('hidden');
+        }, 4000);
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Initialize when page loads
+    init();
+})();
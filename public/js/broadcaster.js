@@ -17,14 +17,6 @@
     let localStream = null;
     const peerConnections = new Map(); // viewerId -> RTCPeerConnection
 
-    // WebRTC configuration
-    const rtcConfig = {
-        iceServers: [
-            { urls: 'stun:stun.l.google.com:19302' },
-            { urls: 'stun:stun1.l.google.com:19302' }
-        ]
-    };
-
     /**
      * Initialize the broadcaster
      */
@@ -159,7 +151,7 @@
      * Create a peer connection for a viewer
      */
     async function createPeerConnection(viewerId) {
-        const pc = new RTCPeerConnection(rtcConfig);
+        const pc = new RTCPeerConnection(await signaling.getRtcConfig());
         peerConnections.set(viewerId, pc);
 
         // Add local tracks
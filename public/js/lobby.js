@@ -11,10 +11,16 @@
     const connectionMessage = document.getElementById('connection-message');
     const errorToast = document.getElementById('error-toast');
     const errorMessage = document.getElementById('error-message');
+    const roomActions = document.getElementById('room-actions');
+    const roomCreatedCard = document.getElementById('room-created-card');
+    const enterRoomBtn = document.getElementById('enter-room-btn');
 
     // State
     let rooms = [];
     let isConnected = false;
+    let joinLockTimer = null;
+    let maxRooms = 5; // Replaced by the server's limit on connect
+    let totalRooms = 0; // Every open room, including unlisted and private ones that aren't shown
 
     /**
      * Initialize the lobby
@@ -38,38 +44,125 @@
             setConnected(false);
         });
 
+        signaling.on('server-shutdown', () => {
+            connectionBanner.classList.remove('hidden');
+            connectionMessage.textContent = 'The server is restarting. Reconnecting automatically...';
+        });
+
+        signaling.on('server-config', (message) => {
+            maxRooms = message.config.maxRooms;
+
+            const capacityInput = document.getElementById('create-room-capacity');
+            capacityInput.max = message.config.maxViewersPerRoom;
+            capacityInput.placeholder = message.config.maxViewersPerRoom;
+
+            renderRooms();
+        });
+
         signaling.on('room-list', (message) => {
             rooms = message.rooms;
+            totalRooms = message.totalRooms;
             renderRooms();
         });
 
         signaling.on('room-created', (message) => {
-            // Store room info and redirect to room page
-            sessionStorage.setItem('roomId', message.roomId);
-            sessionStorage.setItem('roomName', message.name);
-            sessionStorage.setItem('roomRole', message.role);
-            // Store key temporarily for room.html to rejoin
-            sessionStorage.setItem('roomKey', document.getElementById('create-room-key').value);
-            window.location.href = '/room.html';
+            // Only the owner key can reclaim the broadcaster slot when the room page rejoins
+            roomAccess.saveCredentials(message.roomId, { key: message.ownerKey });
+            // Lets the room page take over the slot this connection holds
+            roomAccess.saveResumeToken(message.roomId, message.resumeToken);
+
+            showCreatedKeys(message.roomId, document.getElementById('create-room-key').value, message.ownerKey,
+                document.getElementById('create-room-visibility').value);
         });
 
         signaling.on('room-joined', (message) => {
-            // Store room info and redirect to room page
-            sessionStorage.setItem('roomId', message.roomId);
-            sessionStorage.setItem('roomName', message.name);
-            sessionStorage.setItem('roomRole', message.role);
-            // Store key temporarily for room.html to rejoin
-            sessionStorage.setItem('roomKey', document.getElementById('join-room-key').value);
-            window.location.href = '/room.html';
+            // Remember the key for the room page, then go there
+            roomAccess.saveCredentials(message.roomId, { key: document.getElementById('join-room-key').value });
+            roomAccess.saveResumeToken(message.roomId, message.resumeToken);
+            window.location.href = roomAccess.roomPath(message.roomId);
+        });
+
+        signaling.on('protocol-error', (message) => {
+            showError(message.error);
+        });
+
+        signaling.on('rate-limited', (message) => {
+            showError(`Too many requests. Try again in ${message.retryAfter}s`);
+        });
+
+        signaling.on('system-notice', (message) => {
+            showError(message.message);
+        });
+
+        // The room asks the broadcaster first; room-joined or room-error follows
+        signaling.on('knock-pending', () => {
+            setJoinWaiting(true);
         });
 
         signaling.on('room-error', (message) => {
             showError(message.error);
+            setJoinWaiting(false);
+
+            if (message.code === 'TOO_MANY_ATTEMPTS') {
+                lockJoinForm(message.retryAfter);
+            }
         });
 
         // Form handlers
         createForm.addEventListener('submit', handleCreateRoom);
         joinForm.addEventListener('submit', handleJoinRoom);
+        enterRoomBtn.addEventListener('click', () => {
+            window.location.href = roomAccess.roomPath(document.getElementById('created-room-id').textContent);
+        });
+        document.getElementById('join-display-name').value = roomAccess.getDisplayName();
+        roomCreatedCard.querySelectorAll('[data-copy]').forEach(btn => {
+            btn.addEventListener('click', () => copyText(document.getElementById(btn.dataset.copy).textContent));
+        });
+    }
+
+    /**
+     * Send invite links in the old /?room=...&invite=... form to the room page
+     * Returns true if the page is being redirected
+     */
+    function redirectInviteLink() {
+        const params = new URLSearchParams(window.location.search);
+        const roomId = params.get('room');
+        const invite = params.get('invite');
+        if (!roomId || !invite) return false;
+
+        window.location.replace(`${roomAccess.roomPath(roomId)}?invite=${encodeURIComponent(invite)}`);
+        return true;
+    }
+
+    /**
+     * Show the room ID, viewer key and owner key to the room creator
+     */
+    function showCreatedKeys(roomId, viewerKey, ownerKey, visibility) {
+        document.getElementById('created-room-id').textContent = roomId;
+        document.getElementById('created-viewer-key').textContent = viewerKey;
+        document.getElementById('created-owner-key').textContent = ownerKey;
+
+        // Private rooms don't accept the viewer key; viewers need an invite link
+        const isPrivate = visibility === 'private';
+        document.getElementById('created-viewer-key-row').classList.toggle('hidden', isPrivate);
+        if (isPrivate) {
+            document.getElementById('created-room-hint').textContent = 'Invite viewers with links from the room page. ' +
+                'Keep the owner key private: it is the only way to reclaim the broadcaster role.';
+        }
+
+        roomActions.classList.add('hidden');
+        roomCreatedCard.classList.remove('hidden');
+    }
+
+    /**
+     * Copy text to clipboard
+     */
+    async function copyText(text) {
+        try {
+            await navigator.clipboard.writeText(text);
+        } catch (e) {
+            console.error('Failed to copy:', e);
+        }
     }
 
     /**
@@ -80,6 +173,8 @@
 
         const name = document.getElementById('create-room-name').value.trim();
         const key = document.getElementById('create-room-key').value;
+        const capacity = parseInt(document.getElementById('create-room-capacity').value, 10);
+        const visibility = document.getElementById('create-room-visibility').value;
 
         if (!name || !key) {
             showError('Please fill in all fields');
@@ -94,7 +189,10 @@
         signaling.send({
             type: 'create-room',
             name: name,
-            key: key
+            key: key,
+            capacity: capacity || undefined,
+            visibility: visibility,
+            knock: document.getElementById('create-room-knock').checked
         });
     }
 
@@ -106,6 +204,7 @@
 
         const roomId = document.getElementById('join-room-id').value.trim().toLowerCase();
         const key = document.getElementById('join-room-key').value;
+        const displayName = document.getElementById('join-display-name').value.trim();
 
         if (!roomId || !key) {
             showError('Please fill in all fields');
@@ -118,17 +217,59 @@
             return;
         }
 
+        roomAccess.saveDisplayName(displayName);
         signaling.send({
             type: 'join-room',
             roomId: roomId,
-            key: key
+            key: key,
+            displayName: displayName || undefined,
+            browserId: roomAccess.getBrowserId()
         });
     }
 
+    /**
+     * Show that a knock-mode room is waiting for its broadcaster to let us in
+     */
+    function setJoinWaiting(waiting) {
+        const submitBtn = joinForm.querySelector('button[type="submit"]');
+        submitBtn.disabled = waiting;
+        submitBtn.querySelector('span').textContent = waiting ? 'Waiting for the broadcaster...' : 'Join Room';
+    }
+
+    /**
+     * Disable the join button until the server's key-attempt lockout expires
+     */
+    function lockJoinForm(retryAfter) {
+        const submitBtn = joinForm.querySelector('button[type="submit"]');
+        const label = submitBtn.querySelector('span');
+        let remaining = retryAfter || 1;
+
+        clearInterval(joinLockTimer);
+        submitBtn.disabled = true;
+        label.textContent = `Try again in ${remaining}s`;
+
+        joinLockTimer = setInterval(() => {
+            remaining--;
+            if (remaining > 0) {
+                label.textContent = `Try again in ${remaining}s`;
+                return;
+            }
+            clearInterval(joinLockTimer);
+            submitBtn.disabled = false;
+            label.textContent = 'Join Room';
+        }, 1000);
+    }
+
     /**
      * Handle clicking on a room card to join
      */
     function handleRoomCardClick(roomId) {
+        // Rooms we have a key or invite for open directly
+        if (roomAccess.getCredentials(roomId)) {
+            window.location.href = roomAccess.roomPath(roomId);
+            return;
+        }
+
         // Pre-fill the join form with room ID
         document.getElementById('join-room-id').value = roomId;
         document.getElementById('join-room-key').focus();
@@ -141,7 +282,7 @@
      * Render the rooms list
      */
     function renderRooms() {
-        roomCountEl.textContent = `${rooms.length}/5`;
+        roomCountEl.textContent = `${totalRooms}/${maxRooms}`;
 
         if (rooms.length === 0) {
             roomsContainer.innerHTML = `
@@ -164,7 +305,7 @@
         <div class="room-item-footer">
           <span class="room-item-id">${room.id}</span>
           <span class="room-item-capacity ${room.isFull ? 'capacity-full' : ''}">
-            ${room.participants}/2
+            ${room.participants}/${room.capacity}
           </span>
         </div>
         ${room.isFull
@@ -185,7 +326,9 @@
             connectionBanner.classList.add('hidden');
         } else {
             connectionBanner.classList.remove('hidden');
-            connectionMessage.textContent = 'Disconnected. Reconnecting...';
+            connectionMessage.textContent = signaling.serverRestarting
+                ? 'The server is restarting. Reconnecting automatically...'
+                : 'Disconnected. Reconnecting...';
         }
     }
 
@@ -213,6 +356,8 @@
     // Expose room click handler globally for onclick
     window.lobbyHandleRoomClick = handleRoomCardClick;
 
-    // Initialize when page loads
-    init();
+    // Initialize when page loads, unless an invite link is sending us to its room
+    if (!redirectInviteLink()) {
+        init();
+    }
 })();
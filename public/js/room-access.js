@@ -0,0 +1,114 @@
+/**
+ * Room access - Remembers how to get back into each room
+ *
+ * The key or invite token for a room is kept in localStorage, so /r/<roomId>
+ * works after a reload, in a new tab or from a bookmark. The resume token stays
+ * in sessionStorage: it stands for this tab's place in the room, and sharing it
+ * would let two tabs keep taking the same slot from each other. The browser ID
+ * is a random value sent with every join, which is what room bans apply to.
+ */
+(function () {
+    const CREDENTIALS_PREFIX = 'streamhq:room:';
+    const RESUME_PREFIX = 'streamhq:resume:';
+    const DISPLAY_NAME = 'streamhq:displayName';
+    const BROWSER_ID = 'streamhq:browserId';
+
+    /**
+     * Read a JSON value, treating unavailable storage or bad data as missing
+     */
+    function read(storage, name) {
+        try {
+            return JSON.parse(storage.getItem(name));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Write a value, ignoring storage that is full or disabled
+     */
+    function write(storage, name, value) {
+        try {
+            storage.setItem(name, JSON.stringify(value));
+        } catch (e) {
+            console.warn('Could not save room access:', e);
+        }
+    }
+
+    window.roomAccess = {
+        /**
+         * Path of a room's page
+         */
+        roomPath(roomId) {
+            return `/r/${encodeURIComponent(roomId)}`;
+        },
+
+        /**
+         * Get the saved credentials for a room: { key } or { invite }, or null
+         */
+        getCredentials(roomId) {
+            return read(localStorage, CREDENTIALS_PREFIX + roomId);
+        },
+
+        /**
+         * Save the key or invite token that got us into a room
+         */
+        saveCredentials(roomId, credentials) {
+            write(localStorage, CREDENTIALS_PREFIX + roomId, credentials);
+        },
+
+        /**
+         * Get this tab's resume token for a room
+         */
+        getResumeToken(roomId) {
+            return read(sessionStorage, RESUME_PREFIX + roomId);
+        },
+
+        /**
+         * Save this tab's resume token for a room
+         */
+        saveResumeToken(roomId, token) {
+            write(sessionStorage, RESUME_PREFIX + roomId, token);
+        },
+
+        /**
+         * Get the name shown to broadcasters who approve each viewer
+         */
+        getDisplayName() {
+            return read(localStorage, DISPLAY_NAME) || '';
+        },
+
+        /**
+         * Save the name shown to broadcasters who approve each viewer
+         */
+        saveDisplayName(name) {
+            write(localStorage, DISPLAY_NAME, name);
+        },
+
+        /**
+         * Get this browser's ID, creating it on first use
+         */
+        getBrowserId() {
+            let browserId = read(localStorage, BROWSER_ID);
+            if (!browserId) {
+                // getRandomValues also works on plain http, unlike randomUUID
+                const bytes = crypto.getRandomValues(new Uint8Array(16));
+                browserId = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+                write(localStorage, BROWSER_ID, browserId);
+            }
+            return browserId;
+        },
+
+        /**
+         * Forget everything saved for a room
+         */
+        forget(roomId) {
+            try {
+                localStorage.removeItem(CREDENTIALS_PREFIX + roomId);
+                sessionStorage.removeItem(RESUME_PREFIX + roomId);
+            } catch (e) {
+                // Storage is unavailable, so there is nothing to forget
+            }
+        }
+    };
+})();
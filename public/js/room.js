@@ -2,18 +2,34 @@
  * Room - Unified broadcaster/viewer page with role-based UI
  */
 (function () {
-    // Get room info from session storage
-    const roomId = sessionStorage.getItem('roomId');
-    const roomName = sessionStorage.getItem('roomName');
-    const roomRole = sessionStorage.getItem('roomRole');
-    const roomKey = sessionStorage.getItem('roomKey');
-
-    // Redirect to lobby if no room info
-    if (!roomId || !roomRole || !roomKey) {
+    // The room comes from the URL (/r/<roomId>); our role comes from the server once we're in
+    const roomPathMatch = window.location.pathname.match(/^\/r\/(room-[a-f0-9]{8})\/?$/);
+
+    // Redirect to lobby if there's no room in the URL
+    if (!roomPathMatch) {
         window.location.href = '/';
         return;
     }
 
+    const roomId = roomPathMatch[1];
+    let roomRole = null;
+    let credentials = roomAccess.getCredentials(roomId); // { key } or { invite }, null until we have one
+    let resumeToken = roomAccess.getResumeToken(roomId);
+
+    // Invite links carry their token in the query; keep it and clean up the address bar
+    const linkInvite = new URLSearchParams(window.location.search).get('invite');
+    if (linkInvite) {
+        credentials = { invite: linkInvite };
+        roomAccess.saveCredentials(roomId, credentials);
+        history.replaceState(null, '', roomAccess.roomPath(roomId));
+    }
+
+    // Invite tokens are a signed base64url JSON payload, so they start with '{"' encoded
+    const INVITE_TOKEN_PATTERN = /^eyJ[\w-]+\.[\w-]+$/;
+
+    // Join errors that another key or invite could fix
+    const CREDENTIAL_ERRORS = ['INVALID_KEY', 'INVITE_ONLY', 'INVALID_INVITE', 'INVITE_REVOKED', 'INVITE_USED_UP'];
+
     // DOM Elements
     const roomNameEl = document.getElementById('room-name');
     const roomIdEl = document.getElementById('room-id');
@@ -33,10 +49,17 @@
     const roleBadge = document.getElementById('role-badge');
     const participantCount = document.getElementById('participant-count');
     const viewerStatusText = document.getElementById('viewer-status-text');
+    const keyForm = document.getElementById('key-form');
+    const keyInput = document.getElementById('key-input');
+    const displayNameInput = document.getElementById('display-name-input');
+    const knockRequests = document.getElementById('knock-requests');
     const toast = document.getElementById('toast');
     const toastIcon = document.getElementById('toast-icon');
     const toastMessage = document.getElementById('toast-message');
     const copyToast = document.getElementById('copy-toast');
+    const copyToastMessage = document.getElementById('copy-toast-message');
+    const restartBanner = document.getElementById('restart-banner');
+    const restartMessage = document.getElementById('restart-message');
 
     // Chat Notification DOM Elements
     const chatNotification = document.getElementById('chat-notification');
@@ -52,49 +75,48 @@
     const chatForm = document.getElementById('chat-form');
     const chatInput = document.getElementById('chat-input');
 
+    // Invite DOM Elements
+    const inviteBtn = document.getElementById('invite-btn');
+    const invitePanel = document.getElementById('invite-panel');
+    const inviteCloseBtn = document.getElementById('invite-close-btn');
+    const inviteForm = document.getElementById('invite-form');
+    const inviteList = document.getElementById('invite-list');
+
+    // Participants DOM Elements
+    const participantsBtn = document.getElementById('participants-btn');
+    const participantsPanel = document.getElementById('participants-panel');
+    const participantsCloseBtn = document.getElementById('participants-close-btn');
+    const participantList = document.getElementById('participant-list');
+    const lockBtn = document.getElementById('lock-btn');
+    const lockHint = document.getElementById('lock-hint');
+    const roomKeyForm = document.getElementById('room-key-form');
+    const newRoomKeyInput = document.getElementById('new-room-key');
+
     // State
     let localStream = null;
-    let peerConnection = null;
+    let peerConnection = null; // Viewer's connection to the broadcaster
+    const peerConnections = new Map(); // Broadcaster: viewerId -> RTCPeerConnection
+    const negotiatingViewers = new Set(); // Viewers with an offer in flight
     let retryCount = 0;
     const MAX_RETRIES = 3;
     let isInitialConnection = true; // Track if this is the first connection
-    let currentViewerId = null; // Track current viewer to prevent duplicate connections
-    let isNegotiating = false; // Track if we're in the middle of WebRTC negotiation
+    let clientId = null; // Our own client ID, assigned by the server on join
     let participantCountValue = 1;
+    let roomCapacity = 2;
+    let roomLocked = false;
     let isChatOpen = localStorage.getItem('chatOpen') === 'true';
     let notificationTimeout = null;
-
-    // WebRTC configuration
-    const rtcConfig = {
-        iceServers: [
-            { urls: 'stun:stun.l.google.com:19302' },
-            { urls: 'stun:stun1.l.google.com:19302' }
-        ]
-    };
+    let lockoutTimer = null; // Counts down a failed-attempt lockout before joining again
 
     /**
      * Initialize the room
      */
     async function init() {
-        // Set room info in UI
-        roomNameEl.textContent = roomName || 'Room';
+        // Set room info in UI; the name and role arrive with room-joined
         roomIdEl.textContent = roomId;
-        roleBadge.textContent = roomRole === 'broadcaster' ? '📡 Broadcaster' : '👁️ Viewer';
-        roleBadge.className = `role-badge role-${roomRole}`;
-
-        // Show appropriate controls and ensure placeholder is visible
-        if (roomRole === 'broadcaster') {
-            broadcasterControls.classList.remove('hidden');
-            placeholderIcon.textContent = '📡';
-            placeholderText.textContent = 'Click "Start Broadcasting" to share your screen';
-            placeholder.style.display = 'flex';
-        } else {
-            viewerControls.classList.remove('hidden');
-            placeholderIcon.textContent = '👁️';
-            placeholderText.textContent = 'Waiting for broadcaster...';
-            placeholder.style.display = 'flex';
-            video.style.display = 'none'; // Hide video until stream arrives
-        }
+        placeholderIcon.textContent = '🚪';
+        placeholderText.textContent = 'Joining room...';
+        video.style.display = 'none';
 
         // Set up signaling handlers BEFORE connecting
         // This ensures we don't miss any messages
@@ -103,14 +125,14 @@
         // Connect to signaling server and join room
         try {
             await signaling.connect();
-            updateStatus('waiting', 'Joining room...');
 
-            // Join the room with the new WebSocket connection
-            signaling.send({
-                type: 'join-room',
-                roomId: roomId,
-                key: roomKey
-            });
+            // Join the room with the new WebSocket connection, or ask for a key first
+            if (credentials || resumeToken) {
+                updateStatus('waiting', 'Joining room...');
+                sendJoinRoom();
+            } else {
+                showKeyPrompt();
+            }
 
             // Mark initial connection as complete
             isInitialConnection = false;
@@ -120,8 +142,10 @@
         }
 
         // Button handlers
-        copyIdBtn.addEventListener('click', copyRoomId);
+        copyIdBtn.addEventListener('click', copyRoomLink);
         leaveBtn.addEventListener('click', leaveRoom);
+        keyForm.addEventListener('submit', submitKey);
+        knockRequests.addEventListener('click', handleKnockClick);
 
         // Fullscreen button - both click and touch for mobile compatibility
         fullscreenBtn.addEventListener('click', toggleFullscreen);
@@ -130,10 +154,18 @@
             toggleFullscreen();
         });
 
-        if (roomRole === 'broadcaster') {
-            startBtn.addEventListener('click', startBroadcasting);
-            stopBtn.addEventListener('click', stopBroadcasting);
-        }
+        // Broadcaster controls stay hidden unless we join as the broadcaster
+        startBtn.addEventListener('click', startBroadcasting);
+        stopBtn.addEventListener('click', stopBroadcasting);
+        inviteBtn.addEventListener('click', toggleInvites);
+        inviteCloseBtn.addEventListener('click', () => invitePanel.classList.add('hidden'));
+        inviteForm.addEventListener('submit', createInvite);
+        inviteList.addEventListener('click', handleInviteListClick);
+        participantsBtn.addEventListener('click', toggleParticipants);
+        participantsCloseBtn.addEventListener('click', () => participantsPanel.classList.add('hidden'));
+        participantList.addEventListener('click', handleParticipantListClick);
+        lockBtn.addEventListener('click', toggleLock);
+        roomKeyForm.addEventListener('submit', changeRoomKey);
 
         // Chat toggle handlers
         chatToggleBtn.addEventListener('click', toggleChat);
@@ -148,10 +180,112 @@
         // Chat notification close handler
         chatNotificationClose.addEventListener('click', dismissChatNotification);
 
-        // Handle page unload
-        window.addEventListener('beforeunload', () => {
-            signaling.send({ type: 'leave-room' });
-        });
+        // No leave-room on unload: a reload resumes our slot within the grace period,
+        // and a closed tab's slot is released when the grace period ends
+    }
+
+    /**
+     * Show the controls and placeholder for the role the server gave us
+     */
+    function applyRole(role) {
+        roomRole = role;
+        // Handlers are keyed by message type, so this also replaces the other role's ice-candidate handler
+        if (role === 'broadcaster') {
+            setupBroadcasterHandlers();
+        } else {
+            setupViewerHandlers();
+        }
+        roleBadge.textContent = role === 'broadcaster' ? '📡 Broadcaster' : '👁️ Viewer';
+        roleBadge.className = `role-badge role-${role}`;
+        broadcasterControls.classList.toggle('hidden', role !== 'broadcaster');
+        viewerControls.classList.toggle('hidden', role !== 'viewer');
+
+        // Ensure placeholder is visible until there's a stream
+        placeholder.style.display = 'flex';
+        if (role === 'broadcaster') {
+            placeholderIcon.textContent = '📡';
+            placeholderText.textContent = 'Click "Start Broadcasting" to share your screen';
+            video.style.display = '';
+        } else {
+            placeholderIcon.textContent = '👁️';
+            placeholderText.textContent = 'Waiting for broadcaster...';
+            video.style.display = 'none'; // Hide video until stream arrives
+        }
+    }
+
+    /**
+     * Ask for the room key, e.g. when the room was opened from a bookmark or shared link
+     */
+    function showKeyPrompt(error) {
+        updateStatus('waiting', 'Room key needed');
+        placeholderIcon.textContent = '🔒';
+        placeholderText.textContent = error || 'Enter the room key or paste an invite link to join. Use the owner key to join as the broadcaster.';
+        placeholder.style.display = 'flex';
+        displayNameInput.value = roomAccess.getDisplayName();
+        keyForm.classList.remove('hidden');
+        keyInput.focus();
+    }
+
+    /**
+     * Count down a failed-attempt lockout, then join again or ask for a key
+     */
+    function waitOutLockout(retryAfter) {
+        clearInterval(lockoutTimer);
+        keyForm.classList.add('hidden');
+
+        let remaining = Math.max(1, retryAfter || 1);
+        const tick = () => {
+            if (remaining > 0) {
+                updateStatus('waiting', `Locked out for ${remaining}s`);
+                showPlaceholder('⏳', `Too many failed attempts. Trying again in ${remaining}s...`);
+                remaining--;
+                return;
+            }
+
+            clearInterval(lockoutTimer);
+            lockoutTimer = null;
+            if (credentials || resumeToken) {
+                showPlaceholder('🚪', 'Joining room...');
+                updateStatus('waiting', 'Joining room...');
+                sendJoinRoom();
+            } else {
+                showKeyPrompt();
+            }
+        };
+        tick();
+        lockoutTimer = setInterval(tick, 1000);
+    }
+
+    /**
+     * Read what was typed into the prompt: an invite link or token, otherwise a room key
+     */
+    function parseCredential(value) {
+        const trimmed = value.trim();
+        try {
+            const invite = new URL(trimmed).searchParams.get('invite');
+            if (invite) return { invite };
+        } catch (e) {
+            // Not a link
+        }
+        return INVITE_TOKEN_PATTERN.test(trimmed) ? { invite: trimmed } : { key: value };
+    }
+
+    /**
+     * Join with the key or invite typed into the prompt
+     */
+    function submitKey(e) {
+        e.preventDefault();
+
+        const key = keyInput.value;
+        if (!key) return;
+
+        credentials = parseCredential(key);
+        roomAccess.saveDisplayName(displayNameInput.value.trim());
+        keyForm.classList.add('hidden');
+        placeholderIcon.textContent = '🚪';
+        placeholderText.textContent = 'Joining room...';
+        updateStatus('waiting', 'Joining room...');
+        sendJoinRoom();
     }
 
     /**
@@ -161,167 +295,303 @@
         signaling.on('connected', () => {
             // Only rejoin on RECONNECT, not initial connection
             // Initial connection is handled in init()
-            if (!isInitialConnection) {
+            if (!isInitialConnection && (credentials || resumeToken)) {
                 console.log('Reconnecting to room...');
                 updateStatus('waiting', 'Reconnecting...');
-                signaling.send({
-                    type: 'join-room',
-                    roomId: roomId,
-                    key: roomKey
-                });
+                sendJoinRoom();
             }
         });
 
         signaling.on('disconnected', () => {
-            updateStatus('disconnected', 'Disconnected');
+            if (signaling.serverRestarting) {
+                updateStatus('waiting', 'Server restarting...');
+            } else {
+                updateStatus('disconnected', 'Disconnected');
+            }
+        });
+
+        // The server is draining before a restart; the socket will close soon
+        signaling.on('server-shutdown', (message) => {
+            restartMessage.textContent = message.retryAfter > 0
+                ? `The server is restarting in ${message.retryAfter}s. You'll be reconnected automatically.`
+                : "The server is restarting. You'll be reconnected automatically.";
+            restartBanner.classList.remove('hidden');
+            updateStatus('waiting', 'Server restarting...');
         });
 
         // Handle successful room join
         signaling.on('room-joined', (message) => {
-            console.log('Rejoined room as', message.role);
+            console.log(message.resumed ? 'Resumed room session as' : 'Rejoined room as', message.role);
+            clearInterval(lockoutTimer); // A reconnect may have got us in while a lockout was counting down
+            lockoutTimer = null;
+            clientId = message.clientId;
+            resumeToken = message.resumeToken;
+            roomAccess.saveResumeToken(roomId, resumeToken);
+            if (credentials) {
+                // Keep the key or invite so reloads, new tabs and bookmarks get back in
+                roomAccess.saveCredentials(roomId, credentials);
+            }
+
+            roomNameEl.textContent = message.name;
+            document.title = `StreamHQ - ${message.name}`;
+            if (message.role !== roomRole) {
+                applyRole(message.role);
+            }
+            roomLocked = Boolean(message.locked);
+            updateLockButton();
+            keyForm.classList.add('hidden');
+            keyInput.value = '';
             updateStatus('connected', 'Connected');
+            restartBanner.classList.add('hidden');
+
+            // For viewers, send viewer-join to trigger WebRTC negotiation,
+            // unless a resumed session still has a working stream
+            if (roomRole === 'viewer' && !(message.resumed && isPeerConnectionHealthy())) {
+                signaling.send({ type: 'viewer-join' });
+            }
+        });
+
+        // Knock mode: we're waiting for the broadcaster to let us in
+        signaling.on('knock-pending', () => {
+            updateStatus('waiting', 'Waiting for approval');
+            placeholderIcon.textContent = '✋';
+            placeholderText.textContent = 'Waiting for the broadcaster to let you in...';
+        });
 
-            // Clear the key from storage for security (we're now joined)
-            // sessionStorage.removeItem('roomKey'); // Keep for reconnect
+        // Broadcaster: viewers asking to join, and knocks that were answered or withdrawn
+        signaling.on('knock-request', (message) => {
+            showKnockRequest(message);
+        });
 
-            // For viewers, send viewer-join to trigger WebRTC negotiation
-            if (roomRole === 'viewer') {
+        signaling.on('knock-cancelled', (message) => {
+            const card = knockRequests.querySelector(`[data-request-id="${CSS.escape(message.requestId)}"]`);
+            if (card) card.remove();
+        });
+
+        // The other side's signaling connection dropped and came back within the grace period
+        signaling.on('peer-resumed', (message) => {
+            console.log('Peer resumed:', message.role, message.viewerId || '');
+            if (roomRole === 'viewer' && !isPeerConnectionHealthy()) {
                 signaling.send({ type: 'viewer-join' });
             }
         });
 
         signaling.on('room-error', (message) => {
             console.error('Room error:', message.error);
+
+            // Too many failed attempts from here; the saved key may still be right, so wait and retry with it
+            if (message.code === 'TOO_MANY_ATTEMPTS') {
+                waitOutLockout(message.retryAfter);
+                return;
+            }
+
+            // The saved key or invite no longer works (or never did); ask for a key instead
+            if (CREDENTIAL_ERRORS.includes(message.code)) {
+                credentials = null;
+                resumeToken = null;
+                roomAccess.forget(roomId);
+                showKeyPrompt(message.error);
+                return;
+            }
+
             updateStatus('disconnected', message.error);
             showToast('⚠️', message.error);
+            // A ban outlives the key we have, so don't offer to reopen the room with it
+            if (message.code === 'ROOM_NOT_FOUND' || message.code === 'BANNED') {
+                roomAccess.forget(roomId);
+            }
             // Redirect to lobby after error
             setTimeout(() => {
-                sessionStorage.clear();
                 window.location.href = '/';
             }, 2000);
         });
 
+        signaling.on('protocol-error', (message) => {
+            showToast('⚠️', message.messageType === 'chat-message'
+                ? 'Message could not be sent'
+                : message.error);
+        });
+
+        // A server plugin refused a chat message or leave request
+        signaling.on('request-rejected', (message) => {
+            showToast('🚫', message.error);
+        });
+
+        signaling.on('rate-limited', (message) => {
+            if (message.messageType === 'chat-message') {
+                showToast('⏳', `You're sending messages too fast. Try again in ${message.retryAfter}s`);
+            }
+        });
+
+        signaling.on('system-notice', (message) => {
+            showToast('📢', message.message);
+        });
+
         signaling.on('room-left', () => {
             window.location.href = '/';
         });
 
+        signaling.on('server-config', (message) => {
+            chatInput.maxLength = message.config.maxChatLength;
+
+            // Only offer expiry times the server accepts
+            document.querySelectorAll('#invite-expiry option').forEach(option => {
+                option.disabled = Number(option.value) > message.config.inviteMaxTtl;
+            });
+        });
+
+        // Broadcaster: a new invite link, then the updated list
+        signaling.on('invite-created', (message) => {
+            copyText(buildInviteLink(message.invite.token), 'Invite link copied to clipboard!');
+        });
+
+        signaling.on('invite-list', (message) => {
+            renderInvites(message.invites);
+        });
+
+        // Broadcaster: moderation results
+        signaling.on('participant-list', (message) => {
+            renderParticipants(message.participants);
+        });
+
+        signaling.on('room-lock-changed', (message) => {
+            roomLocked = message.locked;
+            updateLockButton();
+            showToast(roomLocked ? '🔒' : '🔓', roomLocked ? 'Room locked. No one else can join.' : 'Room unlocked.');
+        });
+
+        signaling.on('room-key-changed', () => {
+            newRoomKeyInput.value = '';
+            showToast('🔑', 'Viewer key changed. Everyone already here stays connected.');
+        });
+
+        // Keep participant count in sync with the server's room list
+        signaling.on('room-list', (message) => {
+            const room = message.rooms.find(r => r.id === roomId);
+            if (room) {
+                participantCountValue = room.participants;
+                roomCapacity = room.capacity;
+                updateParticipantCount();
+            }
+        });
+
         // Chat message handler (for both roles)
         signaling.on('chat-broadcast', (message) => {
             displayChatMessage(message);
 
             // Show notification if chat is closed and message is from someone else
-            if (!isChatOpen && message.sender !== roomRole) {
+            if (!isChatOpen && message.senderId !== clientId) {
                 showChatNotification(message.sender, message.message);
             }
         });
+    }
 
-        // Broadcaster-specific handlers
-        if (roomRole === 'broadcaster') {
-            signaling.on('viewer-joined', async (message) => {
-                console.log('Viewer joined:', message.viewerId);
-
-                // Prevent duplicate peer connections for the same viewer
-                if (currentViewerId === message.viewerId && peerConnection &&
-                    peerConnection.connectionState !== 'failed' &&
-                    peerConnection.connectionState !== 'closed') {
-                    console.log('Already connected to this viewer, ignoring duplicate');
-                    return;
-                }
-
-                // Prevent creating new connection while negotiating
-                if (isNegotiating) {
-                    console.log('Already negotiating, ignoring viewer-joined');
-                    return;
-                }
+    /**
+     * Set up the handlers only the broadcaster needs, once the server has told us our role
+     */
+    function setupBroadcasterHandlers() {
+        signaling.on('viewer-joined', async (message) => {
+            console.log('Viewer joined:', message.viewerId);
+
+            // The viewer asked for a stream itself (after a reload or when its page took over the
+            // lobby's slot), so the connection we have is dead or going to a socket that is gone
+            if (message.requested) {
+                closeViewerConnection(message.viewerId);
+            }
 
-                participantCountValue = 2;
-                updateParticipantCount();
-                showToast('👁️', 'Viewer joined the room');
+            // Prevent duplicate peer connections for the same viewer
+            const existing = peerConnections.get(message.viewerId);
+            if (existing &&
+                existing.connectionState !== 'failed' &&
+                existing.connectionState !== 'closed') {
+                console.log('Already connected to this viewer, ignoring duplicate');
+                return;
+            }
 
-                if (localStream) {
-                    currentViewerId = message.viewerId;
-                    await createPeerConnectionAsBroadcaster(message.viewerId);
-                }
-            });
+            // Prevent creating a new connection while negotiating with this viewer
+            if (negotiatingViewers.has(message.viewerId)) {
+                console.log('Already negotiating, ignoring viewer-joined');
+                return;
+            }
 
-            signaling.on('viewer-left', (message) => {
-                console.log('Viewer left:', message.viewerId);
-                participantCountValue = 1;
-                updateParticipantCount();
-                showToast('👋', 'Viewer left the room');
+            showToast('👁️', 'Viewer joined the room');
+            refreshParticipants();
 
-                // Reset state
-                currentViewerId = null;
-                isNegotiating = false;
+            if (localStream) {
+                await createPeerConnectionAsBroadcaster(message.viewerId);
+            }
+        });
 
-                if (peerConnection) {
-                    peerConnection.close();
-                    peerConnection = null;
-                }
-            });
+        signaling.on('viewer-left', (message) => {
+            console.log('Viewer left:', message.viewerId);
+            showToast('👋', 'Viewer left the room');
+            closeViewerConnection(message.viewerId);
+            refreshParticipants();
+        });
 
-            signaling.on('answer', async (message) => {
-                try {
-                    if (peerConnection && peerConnection.signalingState === 'have-local-offer') {
-                        await peerConnection.setRemoteDescription(new RTCSessionDescription(message.answer));
-                        console.log('Set remote description successfully');
-                        isNegotiating = false;
-                    } else {
-                        console.warn('Ignoring answer - wrong signaling state:',
-                            peerConnection ? peerConnection.signalingState : 'no peer connection');
-                    }
-                } catch (e) {
-                    console.error('Error setting remote description:', e);
-                    isNegotiating = false;
+        signaling.on('answer', async (message) => {
+            const pc = peerConnections.get(message.viewerId);
+            try {
+                if (pc && pc.signalingState === 'have-local-offer') {
+                    await pc.setRemoteDescription(new RTCSessionDescription(message.answer));
+                    console.log('Set remote description for:', message.viewerId);
+                    negotiatingViewers.delete(message.viewerId);
+                } else {
+                    console.warn('Ignoring answer - wrong signaling state:',
+                        pc ? pc.signalingState : 'no peer connection');
                 }
-            });
+            } catch (e) {
+                console.error('Error setting remote description:', e);
+                negotiatingViewers.delete(message.viewerId);
+            }
+        });
 
-            signaling.on('ice-candidate', async (message) => {
-                try {
-                    if (peerConnection && peerConnection.remoteDescription && message.candidate) {
-                        await peerConnection.addIceCandidate(new RTCIceCandidate(message.candidate));
-                    }
-                } catch (e) {
-                    console.warn('Error adding ICE candidate:', e);
+        signaling.on('ice-candidate', async (message) => {
+            const pc = peerConnections.get(message.viewerId);
+            try {
+                if (pc && pc.remoteDescription && message.candidate) {
+                    await pc.addIceCandidate(new RTCIceCandidate(message.candidate));
                 }
-            });
-        }
+            } catch (e) {
+                console.warn('Error adding ICE candidate:', e);
+            }
+        });
+    }
 
-        // Viewer-specific handlers
-        if (roomRole === 'viewer') {
-            signaling.on('no-broadcaster', () => {
-                showPlaceholder('👁️', 'Waiting for broadcaster...');
-                viewerStatusText.textContent = 'Waiting for broadcaster';
-            });
+    /**
+     * Set up the handlers only viewers need
+     */
+    function setupViewerHandlers() {
+        signaling.on('no-broadcaster', () => {
+            showPlaceholder('👁️', 'Waiting for broadcaster...');
+            viewerStatusText.textContent = 'Waiting for broadcaster';
+        });
 
-            signaling.on('broadcaster-available', () => {
-                signaling.send({ type: 'viewer-join' });
-            });
+        signaling.on('broadcaster-available', () => {
+            signaling.send({ type: 'viewer-join' });
+        });
 
-            signaling.on('broadcaster-left', () => {
-                cleanupPeerConnection();
-                showPlaceholder('👋', 'Broadcaster disconnected. Waiting...');
-                viewerStatusText.textContent = 'Broadcaster disconnected';
-                updateStatus('waiting', 'Waiting for stream...');
-                participantCountValue = 1;
-                updateParticipantCount();
-            });
+        signaling.on('broadcaster-left', () => {
+            cleanupPeerConnection();
+            showPlaceholder('👋', 'Broadcaster disconnected. Waiting...');
+            viewerStatusText.textContent = 'Broadcaster disconnected';
+            updateStatus('waiting', 'Waiting for stream...');
+        });
 
-            signaling.on('offer', async (message) => {
-                console.log('Received offer');
-                await handleOfferAsViewer(message.offer);
-            });
+        signaling.on('offer', async (message) => {
+            console.log('Received offer');
+            await handleOfferAsViewer(message.offer);
+        });
 
-            signaling.on('ice-candidate', async (message) => {
-                try {
-                    if (peerConnection && peerConnection.remoteDescription && message.candidate) {
-                        await peerConnection.addIceCandidate(new RTCIceCandidate(message.candidate));
-                    }
-                } catch (e) {
-                    console.warn('Error adding ICE candidate:', e);
+        signaling.on('ice-candidate', async (message) => {
+            try {
+                if (peerConnection && peerConnection.remoteDescription && message.candidate) {
+                    await peerConnection.addIceCandidate(new RTCIceCandidate(message.candidate));
                 }
-            });
-        }
+            } catch (e) {
+                console.warn('Error adding ICE candidate:', e);
+            }
+        });
     }
 
     // ============================================
@@ -388,11 +658,12 @@
             localStream = null;
         }
 
-        if (peerConnection) {
-            peerConnection.close();
-            peerConnection = null;
+        for (const viewerId of [...peerConnections.keys()]) {
+            closeViewerConnection(viewerId);
         }
 
+        signaling.send({ type: 'broadcaster-stopped' });
+
         video.srcObject = null;
         placeholder.style.display = 'flex';
         startBtn.classList.remove('hidden');
@@ -406,15 +677,16 @@
      * Create peer connection as broadcaster
      */
     async function createPeerConnectionAsBroadcaster(viewerId) {
-        // Mark that we're starting negotiation
-        isNegotiating = true;
+        // Mark that we're starting negotiation with this viewer
+        negotiatingViewers.add(viewerId);
 
-        // Close existing connection
-        if (peerConnection) {
-            peerConnection.close();
+        // Close existing connection to this viewer
+        if (peerConnections.has(viewerId)) {
+            peerConnections.get(viewerId).close();
         }
 
-        peerConnection = new RTCPeerConnection(rtcConfig);
+        const peerConnection = new RTCPeerConnection(await signaling.getRtcConfig());
+        peerConnections.set(viewerId, peerConnection);
 
         // Add local tracks with high quality settings
         localStream.getTracks().forEach(track => {
@@ -459,18 +731,13 @@
 
         // Handle connection state
         peerConnection.onconnectionstatechange = () => {
-            console.log('Connection state:', peerConnection.connectionState);
+            console.log(`Connection state (${viewerId}):`, peerConnection.connectionState);
 
-            if (peerConnection.connectionState === 'connected') {
-                updateStatus('connected', 'Streaming');
-                isNegotiating = false;
-            } else if (peerConnection.connectionState === 'disconnected') {
-                updateStatus('waiting', 'Reconnecting...');
-            } else if (peerConnection.connectionState === 'failed') {
-                updateStatus('disconnected', 'Connection failed');
-                isNegotiating = false;
-                currentViewerId = null; // Allow retry
+            if (peerConnection.connectionState === 'connected' ||
+                peerConnection.connectionState === 'failed') {
+                negotiatingViewers.delete(viewerId); // Allow retry after failure
             }
+            updateBroadcastStatus();
         };
 
         // Create and send offer
@@ -483,7 +750,40 @@
             offer: peerConnection.localDescription
         });
 
-        console.log('Created peer connection for viewer');
+        console.log('Created peer connection for viewer:', viewerId);
+    }
+
+    /**
+     * Close and forget the peer connection to a single viewer
+     */
+    function closeViewerConnection(viewerId) {
+        const pc = peerConnections.get(viewerId);
+        if (pc) {
+            pc.close();
+            peerConnections.delete(viewerId);
+        }
+        negotiatingViewers.delete(viewerId);
+        updateBroadcastStatus();
+    }
+
+    /**
+     * Summarize viewer connection states in the broadcaster status
+     */
+    function updateBroadcastStatus() {
+        if (!localStream) return;
+
+        const states = [...peerConnections.values()].map(pc => pc.connectionState);
+        const streaming = states.filter(state => state === 'connected').length;
+
+        if (streaming > 0) {
+            updateStatus('connected', `Streaming to ${streaming} viewer${streaming === 1 ? '' : 's'}`);
+        } else if (states.includes('connecting') || states.includes('disconnected')) {
+            updateStatus('waiting', 'Connecting to viewers...');
+        } else if (states.includes('failed')) {
+            updateStatus('disconnected', 'Connection failed');
+        } else {
+            updateStatus('connected', 'Broadcasting');
+        }
     }
 
     // ============================================
@@ -496,7 +796,7 @@
     async function handleOfferAsViewer(offer) {
         cleanupPeerConnection();
 
-        peerConnection = new RTCPeerConnection(rtcConfig);
+        peerConnection = new RTCPeerConnection(await signaling.getRtcConfig());
 
         // Track if we've shown the video (to prevent flickering)
         let videoShown = false;
@@ -513,8 +813,6 @@
             placeholder.style.display = 'none';
             updateStatus('connected', 'Streaming');
             viewerStatusText.textContent = 'Watching stream';
-            participantCountValue = 2;
-            updateParticipantCount();
             console.log('Video is now visible');
         }
 
@@ -648,6 +946,15 @@
         }, 1000);
     }
 
+    /**
+     * Check whether the viewer's peer connection is still usable
+     */
+    function isPeerConnectionHealthy() {
+        return Boolean(peerConnection) &&
+            peerConnection.connectionState !== 'failed' &&
+            peerConnection.connectionState !== 'closed';
+    }
+
     /**
      * Clean up peer connection
      */
@@ -688,15 +995,23 @@
      * Update participant count
      */
     function updateParticipantCount() {
-        participantCount.textContent = `${participantCountValue}/2`;
+        participantCount.textContent = `${participantCountValue}/${roomCapacity}`;
     }
 
     /**
-     * Copy room ID to clipboard
+     * Copy the room's link to clipboard; it asks for the key unless opened by someone who has it
      */
-    async function copyRoomId() {
+    function copyRoomLink() {
+        copyText(window.location.origin + roomAccess.roomPath(roomId), 'Room link copied to clipboard!');
+    }
+
+    /**
+     * Copy text to clipboard and confirm with the copy toast
+     */
+    async function copyText(text, notice) {
         try {
-            await navigator.clipboard.writeText(roomId);
+            await navigator.clipboard.writeText(text);
+            copyToastMessage.textContent = notice;
             copyToast.classList.remove('hidden');
             setTimeout(() => copyToast.classList.add('hidden'), 2000);
         } catch (e) {
@@ -704,12 +1019,27 @@
         }
     }
 
+    /**
+     * Join the room, resuming the held session when we have a token
+     */
+    function sendJoinRoom() {
+        signaling.send({
+            type: 'join-room',
+            roomId: roomId,
+            key: credentials ? credentials.key : undefined,
+            invite: credentials ? credentials.invite : undefined,
+            displayName: roomAccess.getDisplayName() || undefined,
+            browserId: roomAccess.getBrowserId(),
+            resumeToken: resumeToken || undefined
+        });
+    }
+
     /**
      * Leave room
      */
     function leaveRoom() {
         signaling.send({ type: 'leave-room' });
-        sessionStorage.clear();
+        roomAccess.forget(roomId);
         window.location.href = '/';
     }
 
@@ -767,6 +1097,204 @@
         setTimeout(() => toast.classList.add('hidden'), 3000);
     }
 
+    // ============================================
+    // Waiting Room Functions
+    // ============================================
+
+    /**
+     * Show a viewer's knock with buttons to let them in or not
+     */
+    function showKnockRequest(request) {
+        // The server repeats waiting knocks when we rejoin
+        let card = knockRequests.querySelector(`[data-request-id="${CSS.escape(request.requestId)}"]`);
+        if (!card) {
+            card = document.createElement('div');
+            card.className = 'knock-request';
+            card.dataset.requestId = request.requestId;
+            knockRequests.appendChild(card);
+        }
+
+        card.innerHTML = `
+            <span class="knock-request-text"><strong>${escapeHtml(request.displayName)}</strong> wants to join</span>
+            <div class="knock-request-actions">
+                <button class="btn btn-primary btn-sm" data-knock="approve-knock">Let in</button>
+                <button class="btn btn-secondary btn-sm" data-knock="deny-knock">Deny</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Approve or deny a knock; its card goes away when the server confirms with knock-cancelled
+     */
+    function handleKnockClick(e) {
+        const button = e.target.closest('button[data-knock]');
+        if (!button) return;
+
+        const card = button.closest('.knock-request');
+        card.querySelectorAll('button').forEach(btn => { btn.disabled = true; });
+        signaling.send({ type: button.dataset.knock, requestId: card.dataset.requestId });
+    }
+
+    // ============================================
+    // Invite Functions
+    // ============================================
+
+    /**
+     * Toggle invite panel visibility, refreshing the list when it opens
+     */
+    function toggleInvites() {
+        invitePanel.classList.toggle('hidden');
+        if (!invitePanel.classList.contains('hidden')) {
+            signaling.send({ type: 'list-invites' });
+        }
+    }
+
+    /**
+     * Ask the server for a new invite link
+     */
+    function createInvite(e) {
+        e.preventDefault();
+
+        signaling.send({
+            type: 'create-invite',
+            expiresIn: parseInt(document.getElementById('invite-expiry').value, 10),
+            maxUses: parseInt(document.getElementById('invite-max-uses').value, 10) || 1
+        });
+    }
+
+    /**
+     * Build the link that joins this room with an invite token
+     */
+    function buildInviteLink(token) {
+        return `${window.location.origin}${roomAccess.roomPath(roomId)}?invite=${encodeURIComponent(token)}`;
+    }
+
+    /**
+     * Render the room's active invite links
+     */
+    function renderInvites(invites) {
+        if (invites.length === 0) {
+            inviteList.innerHTML = '<p class="invite-empty">No active invite links.</p>';
+            return;
+        }
+
+        inviteList.innerHTML = invites.map(invite => `
+            <div class="invite-item">
+                <div class="invite-item-info">
+                    <span class="invite-item-role">👁️ Viewer</span>
+                    <span class="invite-item-meta">${invite.uses}/${invite.maxUses} used · expires ${new Date(invite.expiresAt).toLocaleString()}</span>
+                </div>
+                <div class="invite-item-actions">
+                    <button class="btn-icon-only" data-copy-invite="${escapeHtml(invite.token)}" title="Copy link">📋</button>
+                    <button class="btn-icon-only" data-revoke-invite="${escapeHtml(invite.id)}" title="Revoke">🗑️</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Copy or revoke an invite from the list
+     */
+    function handleInviteListClick(e) {
+        const button = e.target.closest('button');
+        if (!button) return;
+
+        if (button.dataset.copyInvite) {
+            copyText(buildInviteLink(button.dataset.copyInvite), 'Invite link copied to clipboard!');
+        } else if (button.dataset.revokeInvite) {
+            signaling.send({ type: 'revoke-invite', inviteId: button.dataset.revokeInvite });
+        }
+    }
+
+    // ============================================
+    // Participant Functions
+    // ============================================
+
+    /**
+     * Toggle participants panel visibility, refreshing the list when it opens
+     */
+    function toggleParticipants() {
+        participantsPanel.classList.toggle('hidden');
+        refreshParticipants();
+    }
+
+    /**
+     * Ask for the participant list if the panel is open
+     */
+    function refreshParticipants() {
+        if (!participantsPanel.classList.contains('hidden')) {
+            signaling.send({ type: 'list-participants' });
+        }
+    }
+
+    /**
+     * Render the room's participants, with kick and ban buttons for viewers
+     */
+    function renderParticipants(participants) {
+        participantList.innerHTML = participants.map(participant => {
+            const name = participant.displayName || (participant.role === 'broadcaster' ? 'Broadcaster' : 'Guest');
+            const actions = participant.role === 'viewer' ? `
+                <div class="invite-item-actions">
+                    <button class="btn-icon-only" data-kick="${escapeHtml(participant.clientId)}" title="Remove from room">🚪</button>
+                    <button class="btn-icon-only" data-ban="${escapeHtml(participant.clientId)}" title="Ban from room">⛔</button>
+                </div>
+            ` : '';
+
+            return `
+                <div class="invite-item">
+                    <div class="invite-item-info">
+                        <span class="invite-item-role">${participant.role === 'broadcaster' ? '📡' : '👁️'} ${escapeHtml(name)}${participant.clientId === clientId ? ' (you)' : ''}</span>
+                        <span class="invite-item-meta">joined ${new Date(participant.joinedAt).toLocaleTimeString()}</span>
+                    </div>
+                    ${actions}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Kick or ban a viewer from the list; the list refreshes when they leave
+     */
+    function handleParticipantListClick(e) {
+        const button = e.target.closest('button');
+        if (!button) return;
+
+        if (button.dataset.kick) {
+            signaling.send({ type: 'kick-participant', clientId: button.dataset.kick });
+        } else if (button.dataset.ban) {
+            if (!confirm("Ban this viewer? They won't be able to join this room again from this browser. Change the viewer key too if they could join from elsewhere.")) return;
+            signaling.send({ type: 'ban-participant', clientId: button.dataset.ban });
+        }
+    }
+
+    /**
+     * Lock or unlock the room
+     */
+    function toggleLock() {
+        signaling.send({ type: 'lock-room', locked: !roomLocked });
+    }
+
+    /**
+     * Show whether the room is locked on the lock button
+     */
+    function updateLockButton() {
+        lockBtn.textContent = roomLocked ? '🔓 Unlock Room' : '🔒 Lock Room';
+        lockHint.textContent = roomLocked
+            ? 'The room is locked. No one else can join until you unlock it.'
+            : 'Lock the room to stop anyone else from joining.';
+    }
+
+    /**
+     * Set a new viewer key; people already in the room stay connected
+     */
+    function changeRoomKey(e) {
+        e.preventDefault();
+
+        const key = newRoomKeyInput.value;
+        if (!key) return;
+        signaling.send({ type: 'change-room-key', key });
+    }
+
     // ============================================
     // Chat Functions
     // ============================================
@@ -821,7 +1349,7 @@
             emptyState.remove();
         }
 
-        const isSelf = data.sender === roomRole;
+        const isSelf = data.senderId === clientId;
         const messageEl = document.createElement('div');
         messageEl.className = `chat-message ${isSelf ? 'message-self' : 'message-other'}`;
 
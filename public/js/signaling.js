@@ -15,6 +15,13 @@ class SignalingClient {
         this.heartbeatTimeout = null;
         this.HEARTBEAT_INTERVAL = 30000; // Send ping every 30 seconds
         this.HEARTBEAT_TIMEOUT = 10000;  // Wait 10 seconds for pong
+
+        // ICE configuration provided by the server
+        this.rtcConfig = { iceServers: [] };
+        this.rtcConfigExpiresAt = 0;
+
+        // Set when the server announces a restart, until we reconnect
+        this.serverRestarting = false;
     }
 
     /**
@@ -31,6 +38,7 @@ class SignalingClient {
                 console.log('Connected to signaling server');
                 this.isConnected = true;
                 this.reconnectAttempts = 0;
+                this.serverRestarting = false;
                 this.startHeartbeat();
                 this.emit('connected');
                 resolve();
@@ -46,6 +54,9 @@ class SignalingClient {
 
             this.ws.onerror = (error) => {
                 console.error('WebSocket error:', error);
+                if (!this.isConnected) {
+                    this.explainRejection();
+                }
                 reject(error);
             };
 
@@ -57,6 +68,28 @@ class SignalingClient {
                         this.handlePong();
                         return;
                     }
+                    if (message.type === 'ice-config') {
+                        this.setRtcConfig(message);
+                        return;
+                    }
+                    // Surface rejected messages even if the page has no handler for them
+                    if (message.type === 'protocol-error') {
+                        console.warn(`Server rejected ${message.messageType || 'message'} (${message.code}): ${message.error}`);
+                        this.emit('protocol-error', message);
+                        return;
+                    }
+                    if (message.type === 'rate-limited') {
+                        console.warn(`Rate limited on ${message.messageType}, retry in ${message.retryAfter}s`);
+                        this.emit('rate-limited', message);
+                        return;
+                    }
+                    // The close that follows is expected; reconnect as usual once it happens
+                    if (message.type === 'server-shutdown') {
+                        console.warn(`Server restarting, connection closes in ${message.retryAfter}s`);
+                        this.serverRestarting = true;
+                        this.emit('server-shutdown', message);
+                        return;
+                    }
                     this.handleMessage(message);
                 } catch (e) {
                     console.error('Failed to parse message:', e);
@@ -65,6 +98,23 @@ class SignalingClient {
         });
     }
 
+    /**
+     * Log why the server refused the WebSocket upgrade, if it did
+     * Browsers don't expose the handshake's 403 reason to scripts, so ask the server directly
+     */
+    async explainRejection() {
+        try {
+            const response = await fetch('/ws-auth', { method: 'POST', cache: 'no-store' });
+            if (response.status === 403) {
+                const { reason } = await response.json();
+                console.error(`Connection refused by server (403): ${reason}`);
+                this.emit('connection-refused', { reason });
+            }
+        } catch (e) {
+            // Server unreachable; the close handler already reports the disconnect
+        }
+    }
+
     /**
      * Start heartbeat to keep connection alive
      */
@@ -112,6 +162,32 @@ class SignalingClient {
     }
 
 
+    /**
+     * Store ICE configuration sent by the server
+     */
+    setRtcConfig(config) {
+        this.rtcConfig = { iceServers: config.iceServers };
+        // Refresh a minute before TURN credentials expire; STUN-only configs never expire
+        this.rtcConfigExpiresAt = config.ttl
+            ? Date.now() + Math.max(config.ttl - 60, 0) * 1000
+            : Infinity;
+    }
+
+    /**
+     * Get ICE configuration for a new RTCPeerConnection, refreshing expired credentials
+     */
+    async getRtcConfig() {
+        if (Date.now() >= this.rtcConfigExpiresAt) {
+            try {
+                const response = await fetch('/ice-config', { cache: 'no-store' });
+                this.setRtcConfig(await response.json());
+            } catch (e) {
+                console.error('Failed to fetch ICE config:', e);
+            }
+        }
+        return this.rtcConfig;
+    }
+
     /**
      * Handle incoming messages
      */
@@ -16,14 +16,6 @@
     const MAX_RETRIES = 3;
     let retryTimeout = null;
 
-    // WebRTC configuration
-    const rtcConfig = {
-        iceServers: [
-            { urls: 'stun:stun.l.google.com:19302' },
-            { urls: 'stun:stun1.l.google.com:19302' }
-        ]
-    };
-
     /**
      * Initialize the viewer
      */
@@ -99,7 +91,7 @@
         cleanupPeerConnection();
 
         // Create new peer connection
-        peerConnection = new RTCPeerConnection(rtcConfig);
+        peerConnection = new RTCPeerConnection(await signaling.getRtcConfig());
 
         // Handle incoming tracks
         peerConnection.ontrack = (event) => {
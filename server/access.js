@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+
+// ============================================
+// Upgrade Access Control
+// ============================================
+//
+// WebSocket upgrades are checked against an Origin allow-list and, when an
+// access token secret is configured, must carry a signed token in the
+// `token` query parameter or the access token cookie.
+//
+// Tokens are "<base64url payload>.<base64url HMAC-SHA256>" where the payload
+// is { sub, exp } with exp in seconds (invite links use the same format with
+// their own claims). Generate one with:
+//   node server/access.js --secret <secret> --sub alice --ttl 86400
+
+const ACCESS_TOKEN_COOKIE = 'streamhq_token';
+
+/**
+ * Sign a set of claims; `exp` (seconds since the epoch) is required
+ */
+function signToken(secret, claims) {
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  const signature = crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  return `${payload}.${signature}`;
+}
+
+/**
+ * Sign an access token for a subject, valid for ttl seconds
+ */
+function signAccessToken(secret, sub, ttl) {
+  return signToken(secret, { sub, exp: Math.floor(Date.now() / 1000) + ttl });
+}
+
+/**
+ * Verify a signed token
+ * Returns its payload, or null if the signature is wrong or it has expired
+ */
+function verifyToken(secret, token) {
+  if (typeof token !== 'string') return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = crypto.createHmac('sha256', secret).update(payload).digest();
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!Number.isInteger(claims.exp) || claims.exp * 1000 <= Date.now()) return null;
+    return claims;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Read a cookie from a request
+ */
+function getCookie(req, name) {
+  const header = req.headers.cookie;
+  if (!header) return null;
+
+  for (const part of header.split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+/**
+ * Get the access token from the query string or cookie
+ */
+function getAccessToken(req) {
+  const url = new URL(req.url, 'http://localhost');
+  return url.searchParams.get('token') || getCookie(req, ACCESS_TOKEN_COOKIE);
+}
+
+/**
+ * Check whether an Origin header is allowed
+ * With no allow-list, only the server's own origin is accepted
+ */
+function isOriginAllowed(origin, req, allowedOrigins) {
+  if (allowedOrigins.includes('*')) return true;
+  if (allowedOrigins.length > 0) return allowedOrigins.includes(origin);
+
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Create the check run on every WebSocket upgrade
+ * The returned function gives null for an accepted request, or the rejection reason
+ */
+function createUpgradeVerifier(config) {
+  return function verifyUpgrade(req) {
+    const origin = req.headers.origin;
+
+    // Non-browser clients send no Origin; they can't be driven by a third-party page
+    if (origin && !isOriginAllowed(origin, req, config.allowedOrigins)) {
+      return `Origin ${origin} is not allowed`;
+    }
+
+    if (config.accessTokenSecret && !verifyToken(config.accessTokenSecret, getAccessToken(req))) {
+      return 'Missing or invalid access token';
+    }
+
+    return null;
+  };
+}
+
+/**
+ * Build a Set-Cookie header that stores a valid access token from the page URL,
+ * so the browser presents it on the WebSocket upgrade
+ * Returns null if the request carries no valid token
+ */
+function getAccessTokenCookie(req, config, secure) {
+  if (!config.accessTokenSecret) return null;
+
+  const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+  const claims = verifyToken(config.accessTokenSecret, token);
+  if (!claims) return null;
+
+  const maxAge = claims.exp - Math.floor(Date.now() / 1000);
+  return `${ACCESS_TOKEN_COOKIE}=${encodeURIComponent(token)}; Path=/; Max-Age=${maxAge}; HttpOnly; SameSite=Strict` +
+    (secure ? '; Secure' : '');
+}
+
+module.exports = { createUpgradeVerifier, getAccessTokenCookie, signAccessToken, signToken, verifyToken };
+
+// CLI: print a signed access token
+if (require.main === module) {
+  const args = {};
+  for (let i = 2; i < process.argv.length; i += 2) {
+    args[process.argv[i].replace(/^--/, '')] = process.argv[i + 1];
+  }
+
+  const secret = args.secret || process.env.ACCESS_TOKEN_SECRET;
+  if (!secret) {
+    console.error('Usage: node server/access.js --secret <secret> [--sub <name>] [--ttl <seconds>]');
+    process.exit(1);
+  }
+  console.log(signAccessToken(secret, args.sub || 'user', parseInt(args.ttl, 10) || 86400));
+}
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const { createRoomStore } = require('./room-store');
+
+// ============================================
+// Cluster Adapter
+// ============================================
+//
+// Instances share rooms and route signaling through an adapter:
+//
+//   instanceId                   → unique ID of this server process
+//   publish(channel, message)    → send a JSON-serializable message to every subscriber
+//   subscribe(channel, handler)  → handler(message) for each message published on the channel
+//   store                        → shared room records: load(), save(record), remove(roomId)
+//   ready()                      → resolves once the adapter can be used, rejects if it can't be reached
+//   onReconnect(handler)         → handler() after a dropped connection is back; messages published meanwhile were lost
+//   close()                      → release connections
+//
+// Subscribers also receive their own publishes, as with Redis.
+// The in-process adapter serves a single instance; the Redis adapter lets
+// several instances behind a load balancer share rooms.
+
+/**
+ * Generate a short unique ID for this instance
+ */
+function generateInstanceId() {
+  return crypto.randomBytes(3).toString('hex');
+}
+
+/**
+ * Create an adapter that keeps everything inside this process
+ * Rooms are kept by the configured room store (memory or file)
+ */
+function createInProcessAdapter(config, log) {
+  const handlers = new Map(); // Map<channel, Set<handler>>
+
+  return {
+    instanceId: generateInstanceId(),
+    publish(channel, message) {
+      const subscribers = handlers.get(channel);
+      if (!subscribers) return;
+
+      // Deliver asynchronously, like a network round trip would
+      const copy = JSON.parse(JSON.stringify(message));
+      setImmediate(() => subscribers.forEach(handler => handler(copy)));
+    },
+    subscribe(channel, handler) {
+      if (!handlers.has(channel)) handlers.set(channel, new Set());
+      handlers.get(channel).add(handler);
+    },
+    store: createRoomStore(config, log),
+    ready: () => Promise.resolve(),
+    onReconnect() { }, // Nothing to lose in-process
+    close() {
+      handlers.clear();
+    }
+  };
+}
+
+/**
+ * Create the configured adapter
+ */
+function createAdapter(config, log) {
+  if (config.clusterAdapter === 'redis') {
+    // Loaded on demand so single-instance deployments never open a socket to Redis
+    const { createRedisAdapter } = require('./redis-adapter');
+    return createRedisAdapter(config, log, generateInstanceId());
+  }
+  return createInProcessAdapter(config, log);
+}
+
+module.exports = { createAdapter };
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+
+// ============================================
+// Admin HTTP API
+// ============================================
+//
+// All routes live under /api/admin and need "Authorization: Bearer <adminToken>".
+// The API is disabled (404) when no admin token is configured.
+//
+//   GET    /api/admin/rooms                     List rooms with participants
+//   GET    /api/admin/rooms/:roomId             Get one room
+//   DELETE /api/admin/rooms/:roomId             Force-close a room
+//   POST   /api/admin/rooms/:roomId/rotate-key  Set a new viewer key ({ key } or generated)
+//   POST   /api/admin/clients/:clientId/kick    Remove a client from its room ({ reason })
+//   POST   /api/admin/notice                    Broadcast a notice ({ message, roomId })
+//   GET    /api/admin/audit                     Query the audit log (?roomId=&from=&to=&limit=)
+//
+// The dashboard (/admin.html) also sends { type: 'admin-subscribe', token } over
+// the WebSocket to receive live 'admin-event' messages for every room.
+
+const ADMIN_PREFIX = '/api/admin';
+const MAX_BODY_SIZE = 16 * 1024;
+const MAX_NOTICE_LENGTH = 500;
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body (empty body → {})
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (e) {
+        reject(new Error('Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Compare a presented token with the configured one in constant time
+ */
+function matchesToken(presented, token) {
+  if (!token || typeof presented !== 'string') return false;
+
+  const expected = crypto.createHash('sha256').update(token).digest();
+  const actual = crypto.createHash('sha256').update(presented).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Check a request's bearer token
+ */
+function hasBearerToken(req, token) {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  return match !== null && matchesToken(match[1], token);
+}
+
+/**
+ * Create the admin request handler
+ * `actions` performs the room operations; each returns null when the target doesn't exist
+ */
+function createAdminApi(config, actions) {
+  /**
+   * Route an admin request
+   * Returns false if the URL is not an admin route, so the caller can keep handling it
+   */
+  return function handleAdminRequest(req, res) {
+    const pathname = req.url.split('?')[0];
+    if (pathname !== ADMIN_PREFIX && !pathname.startsWith(ADMIN_PREFIX + '/')) return false;
+
+    if (!config.adminToken) {
+      sendJson(res, 404, { error: 'Admin API is disabled' });
+      return true;
+    }
+    if (!hasBearerToken(req, config.adminToken)) {
+      sendJson(res, 401, { error: 'Invalid or missing admin token' });
+      return true;
+    }
+
+    let segments;
+    try {
+      segments = pathname.slice(ADMIN_PREFIX.length).split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (e) {
+      sendJson(res, 400, { error: 'Malformed URL encoding' });
+      return true;
+    }
+    route(req, res, segments).catch(e => {
+      sendJson(res, 400, { error: e.message });
+    });
+    return true;
+  };
+
+  async function route(req, res, segments) {
+    const [resource, id, action] = segments;
+    const method = req.method;
+
+    if (resource === 'rooms' && !id && method === 'GET') {
+      return sendJson(res, 200, { rooms: actions.listRooms() });
+    }
+
+    if (resource === 'rooms' && id && !action && method === 'GET') {
+      const room = actions.getRoom(id);
+      return room ? sendJson(res, 200, { room }) : sendJson(res, 404, { error: 'Room not found' });
+    }
+
+    if (resource === 'rooms' && id && !action && method === 'DELETE') {
+      const closed = actions.closeRoom(id);
+      return closed ? sendJson(res, 200, { closed: id }) : sendJson(res, 404, { error: 'Room not found' });
+    }
+
+    if (resource === 'rooms' && id && action === 'rotate-key' && method === 'POST') {
+      const body = await readJsonBody(req);
+      if (body.key !== undefined && (typeof body.key !== 'string' || body.key.length < 4)) {
+        return sendJson(res, 400, { error: 'key must be a string of at least 4 characters' });
+      }
+      const key = await actions.rotateRoomKey(id, body.key);
+      return key ? sendJson(res, 200, { roomId: id, key }) : sendJson(res, 404, { error: 'Room not found' });
+    }
+
+    if (resource === 'clients' && id && action === 'kick' && method === 'POST') {
+      const body = await readJsonBody(req);
+      const kicked = actions.kickClient(id, typeof body.reason === 'string' ? body.reason : null);
+      return kicked ? sendJson(res, 200, { kicked: id }) : sendJson(res, 404, { error: 'Client is not in a room' });
+    }
+
+    if (resource === 'notice' && !id && method === 'POST') {
+      const body = await readJsonBody(req);
+      if (typeof body.message !== 'string' || !body.message || body.message.length > MAX_NOTICE_LENGTH) {
+        return sendJson(res, 400, { error: `message must be a string of 1-${MAX_NOTICE_LENGTH} characters` });
+      }
+      const recipients = actions.sendNotice(body.message, body.roomId || null);
+      return recipients === null
+        ? sendJson(res, 404, { error: 'Room not found' })
+        : sendJson(res, 200, { recipients });
+    }
+
+    if (resource === 'audit' && !id && method === 'GET') {
+      const params = new URL(req.url, 'http://localhost').searchParams;
+      const events = await actions.queryAudit({
+        roomId: params.get('roomId'),
+        from: params.get('from'),
+        to: params.get('to'),
+        limit: params.get('limit')
+      });
+      return events ? sendJson(res, 200, { events }) : sendJson(res, 404, { error: 'Audit log is disabled' });
+    }
+
+    return sendJson(res, 404, { error: 'Unknown admin route' });
+  }
+}
+
+module.exports = { createAdminApi, matchesToken, hasBearerToken };
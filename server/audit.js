@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+// ============================================
+// Audit Log
+// ============================================
+//
+// Room lifecycle events are appended, one JSON object per line, to
+// <auditLogDir>/audit-YYYY-MM-DD.jsonl. A new file starts each UTC day and
+// whenever the current one reaches auditMaxFileSize (audit-YYYY-MM-DD.1.jsonl,
+// .2, ...). Files older than auditRetentionDays are deleted.
+//
+// Query with GET /api/admin/audit?roomId=&from=&to= or:
+//   node server/audit.js --dir <auditLogDir> [--room <roomId>] [--from <time>] [--to <time>]
+
+const FILE_PATTERN = /^audit-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.jsonl$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the UTC day of a timestamp as YYYY-MM-DD
+ */
+function toDay(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * List audit files in a directory, oldest first
+ */
+function listAuditFiles(dir) {
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+
+  return names
+    .map(name => FILE_PATTERN.exec(name))
+    .filter(Boolean)
+    .map(match => ({ name: match[0], day: match[1], index: parseInt(match[2] || '0', 10) }))
+    .sort((a, b) => a.day.localeCompare(b.day) || a.index - b.index);
+}
+
+/**
+ * Create the audit log writer
+ * Returns a no-op recorder when no audit directory is configured
+ */
+function createAuditLog(config, log) {
+  if (!config.auditLogDir) {
+    return { record() { } };
+  }
+
+  const dir = config.auditLogDir;
+  fs.mkdirSync(dir, { recursive: true });
+
+  // Continue the newest file for today, if any
+  let current = null; // { day, index, size }
+  const today = listAuditFiles(dir).filter(file => file.day === toDay(Date.now())).pop();
+  if (today) {
+    current = { day: today.day, index: today.index, size: fs.statSync(path.join(dir, today.name)).size };
+  }
+
+  function fileName(file) {
+    return `audit-${file.day}${file.index > 0 ? `.${file.index}` : ''}.jsonl`;
+  }
+
+  /**
+   * Delete files that fell out of the retention window
+   */
+  function pruneExpired() {
+    const oldestKept = toDay(Date.now() - config.auditRetentionDays * DAY_MS);
+    for (const file of listAuditFiles(dir)) {
+      if (file.day < oldestKept) {
+        fs.unlinkSync(path.join(dir, file.name));
+        log.info('audit-pruned', 'Deleted expired audit file', { file: file.name });
+      }
+    }
+  }
+
+  /**
+   * Move to a new file when the day changes or the current one is full
+   */
+  function rotateIfNeeded(day, bytes) {
+    // An empty file always takes the next line, however long it is
+    const fits = current !== null && (current.size === 0 || current.size + bytes <= config.auditMaxFileSize);
+    if (fits && current.day === day) return;
+
+    const rotated = current !== null;
+    current = current && current.day === day
+      ? { day, index: current.index + 1, size: 0 }
+      : { day, index: 0, size: 0 };
+
+    if (rotated) {
+      pruneExpired();
+    }
+  }
+
+  pruneExpired();
+
+  return {
+    /**
+     * Append an event; failures are logged but never interrupt the caller
+     */
+    record(event, fields = {}) {
+      const now = Date.now();
+      const line = JSON.stringify({ time: new Date(now).toISOString(), event, ...fields }) + '\n';
+      const bytes = Buffer.byteLength(line);
+
+      try {
+        rotateIfNeeded(toDay(now), bytes);
+        fs.appendFileSync(path.join(dir, fileName(current)), line);
+        current.size += bytes;
+      } catch (e) {
+        log.error('audit-write-failed', 'Could not write audit event', { event, error: e });
+      }
+    }
+  };
+}
+
+/**
+ * Parse a time filter given as an ISO date or epoch milliseconds
+ */
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) throw new Error(`Invalid time: ${value}`);
+  return time;
+}
+
+/**
+ * Read audit events matching a room and time range, oldest first
+ * `from` and `to` are inclusive timestamps in ms; `limit` caps the result
+ */
+async function queryAuditLog(dir, { roomId = null, from = null, to = null, limit = 1000 } = {}) {
+  const fromDay = from !== null ? toDay(from) : null;
+  const untilDay = to !== null ? toDay(to) : null;
+  const results = [];
+
+  for (const file of listAuditFiles(dir)) {
+    if ((fromDay && file.day < fromDay) || (untilDay && file.day > untilDay)) continue;
+
+    const lines = readline.createInterface({
+      input: fs.createReadStream(path.join(dir, file.name)),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      if (!line) continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        continue; // A torn final line from a crash
+      }
+
+      const time = Date.parse(entry.time);
+      if (roomId && entry.roomId !== roomId) continue;
+      if ((from !== null && time < from) || (to !== null && time > to)) continue;
+
+      results.push(entry);
+      if (results.length >= limit) {
+        lines.close();
+        return results;
+      }
+    }
+  }
+  return results;
+}
+
+module.exports = { createAuditLog, queryAuditLog, parseTime };
+
+// CLI: print matching audit events as JSON lines
+if (require.main === module) {
+  const args = {};
+  for (let i = 2; i < process.argv.length; i += 2) {
+    args[process.argv[i].replace(/^--/, '')] = process.argv[i + 1];
+  }
+
+  const dir = args.dir || process.env.AUDIT_LOG_DIR;
+  if (!dir) {
+    console.error('Usage: node server/audit.js --dir <auditLogDir> [--room <roomId>] [--from <time>] [--to <time>] [--limit <n>]');
+    process.exit(1);
+  }
+
+  (async () => {
+    const entries = await queryAuditLog(dir, {
+      roomId: args.room || null,
+      from: parseTime(args.from),
+      to: parseTime(args.to),
+      limit: parseInt(args.limit, 10) || Infinity
+    });
+    for (const entry of entries) {
+      console.log(JSON.stringify(entry));
+    }
+  })().catch(e => {
+    console.error(e.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// Server Configuration
+// ============================================
+//
+// Values are merged in order of precedence (later wins):
+//   defaults → JSON config file → environment variables → CLI flags
+//
+// The config file is given with --config <path> or CONFIG_FILE and uses the
+// option names below as keys. CLI flags are the kebab-case option names,
+// e.g. --max-rooms 10 or --max-rooms=10.
+
+const OPTIONS = {
+  port: { env: 'PORT', type: 'int', default: 3000, min: 1, max: 65535 },
+  host: { env: 'HOST', type: 'string', default: null }, // null: auto-detect local IP
+  certsPath: { env: 'CERTS_PATH', type: 'string', default: path.join(__dirname, '../certs') },
+  trustProxy: { env: 'TRUST_PROXY', type: 'boolean', default: false },
+
+  // Logging
+  logLevel: { env: 'LOG_LEVEL', type: 'string', default: 'info', values: ['debug', 'info', 'warn', 'error'] },
+  logFormat: { env: 'LOG_FORMAT', type: 'string', default: null, values: ['json', 'pretty'] }, // null: pretty on a terminal, else JSON
+
+  // Rooms
+  maxRooms: { env: 'MAX_ROOMS', type: 'int', default: 5, min: 1, client: true },
+  maxViewersPerRoom: { env: 'MAX_VIEWERS_PER_ROOM', type: 'int', default: 20, min: 1, client: true },
+  roomCleanupTimeout: { env: 'ROOM_CLEANUP_TIMEOUT', type: 'int', default: 60000, min: 0 },
+  resumeGracePeriod: { env: 'RESUME_GRACE_PERIOD', type: 'int', default: 30000, min: 0 },
+  knockTimeout: { env: 'KNOCK_TIMEOUT', type: 'int', default: 120000, min: 1000 }, // How long a knock waits for the broadcaster
+  maxChatLength: { env: 'MAX_CHAT_LENGTH', type: 'int', default: 500, min: 1, client: true },
+  roomStore: { env: 'ROOM_STORE', type: 'string', default: 'memory', values: ['memory', 'file'] },
+  roomStoreFile: { env: 'ROOM_STORE_FILE', type: 'string', default: path.join(__dirname, '../data/rooms.json') },
+
+  // Clustering (memory: single instance; redis: share rooms and signaling between instances)
+  clusterAdapter: { env: 'CLUSTER_ADAPTER', type: 'string', default: 'memory', values: ['memory', 'redis'] },
+  redisUrl: { env: 'REDIS_URL', type: 'string', default: 'redis://127.0.0.1:6379' },
+  redisKeyPrefix: { env: 'REDIS_KEY_PREFIX', type: 'string', default: 'streamhq:' },
+  redisConnectTimeout: { env: 'REDIS_CONNECT_TIMEOUT', type: 'int', default: 10000, min: 100 }, // Startup fails if Redis isn't reachable by then
+
+  // Invite links
+  inviteSecret: { env: 'INVITE_SECRET', type: 'string', default: null }, // null: random per process, so links stop working on restart
+  inviteMaxTtl: { env: 'INVITE_MAX_TTL', type: 'int', default: 7 * 24 * 60 * 60, min: 60, client: true }, // Seconds
+
+  // Failed key attempts allowed before backoff, per scope
+  connectionKeyAttempts: { env: 'CONNECTION_KEY_ATTEMPTS', type: 'int', default: 3, min: 1 },
+  ipKeyAttempts: { env: 'IP_KEY_ATTEMPTS', type: 'int', default: 5, min: 1 },
+  roomKeyAttempts: { env: 'ROOM_KEY_ATTEMPTS', type: 'int', default: 20, min: 1 },
+  lockoutBaseDelay: { env: 'LOCKOUT_BASE_DELAY', type: 'int', default: 1000, min: 1 },
+  lockoutMaxDelay: { env: 'LOCKOUT_MAX_DELAY', type: 'int', default: 15 * 60 * 1000, min: 1 },
+  attemptWindow: { env: 'ATTEMPT_WINDOW', type: 'int', default: 15 * 60 * 1000, min: 1 },
+
+  // Upgrade access control
+  allowedOrigins: { env: 'ALLOWED_ORIGINS', type: 'list', default: [] }, // Empty: same origin only; '*': any
+  accessTokenSecret: { env: 'ACCESS_TOKEN_SECRET', type: 'string', default: null }, // Set to require signed tokens
+
+  // Audit log (disabled unless a directory is set)
+  auditLogDir: { env: 'AUDIT_LOG_DIR', type: 'string', default: null },
+  auditMaxFileSize: { env: 'AUDIT_MAX_FILE_SIZE', type: 'int', default: 10 * 1024 * 1024, min: 1024 }, // Bytes before rotating
+  auditRetentionDays: { env: 'AUDIT_RETENTION_DAYS', type: 'int', default: 90, min: 1 },
+
+  // Plugins: every .js file or folder with an index.js in this directory is loaded at startup
+  pluginDir: { env: 'PLUGIN_DIR', type: 'string', default: null },
+
+  // Outgoing webhooks (disabled unless an endpoint is set)
+  webhookConfigFile: { env: 'WEBHOOK_CONFIG_FILE', type: 'string', default: null },
+  webhookUrls: { env: 'WEBHOOK_URLS', type: 'list', default: [] }, // Subscribed to every event
+  webhookSecret: { env: 'WEBHOOK_SECRET', type: 'string', default: null }, // HMAC key for endpoints without their own
+  webhookTimeout: { env: 'WEBHOOK_TIMEOUT', type: 'int', default: 5000, min: 100 }, // Per attempt, in ms
+  webhookMaxAttempts: { env: 'WEBHOOK_MAX_ATTEMPTS', type: 'int', default: 5, min: 1 },
+  webhookQueueSize: { env: 'WEBHOOK_QUEUE_SIZE', type: 'int', default: 1000, min: 1 }, // Pending deliveries before new ones are dropped
+
+  // Admin API (disabled unless a token is set)
+  adminToken: { env: 'ADMIN_TOKEN', type: 'string', default: null },
+
+  // Prometheus /metrics (open unless a token is set)
+  metricsToken: { env: 'METRICS_TOKEN', type: 'string', default: null },
+
+  // Liveness
+  heartbeatInterval: { env: 'HEARTBEAT_INTERVAL', type: 'int', default: 30000, min: 1000 }, // Protocol-level ping
+  shutdownDrainPeriod: { env: 'SHUTDOWN_DRAIN_PERIOD', type: 'int', default: 10000, min: 0 }, // Wait after SIGTERM before closing
+
+  // Connection and message limits
+  maxPayload: { env: 'MAX_PAYLOAD', type: 'int', default: 128 * 1024, min: 1024 }, // Bytes per frame
+  maxConnectionsPerIp: { env: 'MAX_CONNECTIONS_PER_IP', type: 'int', default: 20, min: 1 },
+  signalingBurst: { env: 'SIGNALING_BURST', type: 'int', default: 200, min: 1 },
+  signalingPerMinute: { env: 'SIGNALING_PER_MINUTE', type: 'int', default: 3000, min: 1 },
+  chatBurst: { env: 'CHAT_BURST', type: 'int', default: 5, min: 1 },
+  chatPerMinute: { env: 'CHAT_PER_MINUTE', type: 'int', default: 30, min: 1 },
+  roomBurst: { env: 'ROOM_BURST', type: 'int', default: 10, min: 1 },
+  roomPerMinute: { env: 'ROOM_PER_MINUTE', type: 'int', default: 30, min: 1 },
+  rateLimitMaxStrikes: { env: 'RATE_LIMIT_MAX_STRIKES', type: 'int', default: 20, min: 1 }, // Throttled messages before disconnect
+  rateLimitStrikeWindow: { env: 'RATE_LIMIT_STRIKE_WINDOW', type: 'int', default: 60000, min: 1 },
+
+  // ICE servers
+  iceConfigFile: { env: 'ICE_CONFIG_FILE', type: 'string', default: null },
+  stunUrls: { env: 'STUN_URLS', type: 'list', default: [] },
+  turnUrls: { env: 'TURN_URLS', type: 'list', default: [] },
+  turnSecret: { env: 'TURN_SECRET', type: 'string', default: null },
+  turnTtl: { env: 'TURN_TTL', type: 'int', default: null, min: 60 } // null: 24 hours
+};
+
+/**
+ * Convert an option name to its CLI flag name (maxRooms → max-rooms)
+ */
+function toFlag(name) {
+  return name.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+}
+
+/**
+ * Parse --flag value and --flag=value pairs from argv
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!match) continue;
+
+    if (match[2] !== undefined) {
+      args[match[1]] = match[2];
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      args[match[1]] = argv[++i];
+    } else {
+      args[match[1]] = 'true'; // Bare boolean flag
+    }
+  }
+  return args;
+}
+
+/**
+ * Coerce a raw value to an option's type, returning an error string if it can't be
+ */
+function coerce(name, option, value) {
+  if (value === null) return { value };
+
+  switch (option.type) {
+    case 'int': {
+      const number = typeof value === 'number' ? value : Number(value);
+      if (!Number.isInteger(number)) return { error: `${name} must be an integer` };
+      if (option.min !== undefined && number < option.min) return { error: `${name} must be >= ${option.min}` };
+      if (option.max !== undefined && number > option.max) return { error: `${name} must be <= ${option.max}` };
+      return { value: number };
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') return { value };
+      if (value === 'true' || value === '1') return { value: true };
+      if (value === 'false' || value === '0') return { value: false };
+      return { error: `${name} must be true or false` };
+    case 'list':
+      if (Array.isArray(value)) return { value: value.map(String) };
+      return { value: String(value).split(',').map(item => item.trim()).filter(Boolean) };
+    default:
+      if (option.values && !option.values.includes(String(value))) {
+        return { error: `${name} must be one of ${option.values.join(', ')}` };
+      }
+      return { value: String(value) };
+  }
+}
+
+/**
+ * Load and validate the configuration
+ * Throws with every validation problem listed if the result is invalid
+ */
+function loadConfig({ argv = process.argv.slice(2), env = process.env } = {}) {
+  const args = parseArgs(argv);
+  const configFile = args.config || env.CONFIG_FILE;
+
+  let file = {};
+  if (configFile) {
+    file = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  }
+
+  const config = {};
+  const errors = [];
+
+  for (const key of Object.keys(file)) {
+    if (!OPTIONS[key]) errors.push(`Unknown option in ${configFile}: ${key}`);
+  }
+
+  for (const [name, option] of Object.entries(OPTIONS)) {
+    let raw = option.default;
+    if (file[name] !== undefined) raw = file[name];
+    if (env[option.env] !== undefined && env[option.env] !== '') raw = env[option.env];
+    if (args[toFlag(name)] !== undefined) raw = args[toFlag(name)];
+
+    const result = coerce(name, option, raw);
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      config[name] = result.value;
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error('Invalid configuration:\n  - ' + errors.join('\n  - '));
+  }
+
+  return Object.freeze(config);
+}
+
+/**
+ * Pick the limits the browser needs to know about
+ */
+function getClientConfig(config) {
+  const clientConfig = {};
+  for (const [name, option] of Object.entries(OPTIONS)) {
+    if (option.client) clientConfig[name] = config[name];
+  }
+  return clientConfig;
+}
+
+module.exports = { loadConfig, getClientConfig };
@@ -0,0 +1,76 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// ============================================
+// ICE Server Configuration
+// ============================================
+
+const DEFAULT_STUN_URLS = [
+  'stun:stun.l.google.com:19302',
+  'stun:stun1.l.google.com:19302'
+];
+const DEFAULT_TURN_TTL = 86400; // 24 hours, in seconds
+
+/**
+ * Build ICE settings from the server config and the optional ICE config file
+ * Values from the server config take precedence over the file
+ *
+ * File format:
+ * {
+ *   "iceServers": [{ "urls": "stun:stun.example.com:3478" }],
+ *   "turn": { "urls": ["turn:turn.example.com:3478"], "secret": "...", "ttl": 86400 }
+ * }
+ */
+function loadIceSettings(config) {
+  let file = {};
+  if (config.iceConfigFile) {
+    file = JSON.parse(fs.readFileSync(config.iceConfigFile, 'utf8'));
+  }
+
+  const iceServers = config.stunUrls.length > 0
+    ? [{ urls: config.stunUrls }]
+    : (file.iceServers || DEFAULT_STUN_URLS.map(urls => ({ urls })));
+
+  const fileTurn = file.turn || {};
+  const turn = {
+    urls: config.turnUrls.length > 0 ? config.turnUrls : (fileTurn.urls || []),
+    secret: config.turnSecret || fileTurn.secret || null,
+    ttl: config.turnTtl || fileTurn.ttl || DEFAULT_TURN_TTL
+  };
+
+  if (turn.urls.length > 0 && !turn.secret) {
+    throw new Error('TURN URLs are configured but no TURN secret is set');
+  }
+
+  return { iceServers, turn: turn.urls.length > 0 ? turn : null };
+}
+
+/**
+ * Create time-limited TURN credentials using the coturn REST API shared-secret scheme
+ * (username is "<expiry>:<user>", password is base64 HMAC-SHA1 of the username)
+ */
+function createTurnCredentials(secret, ttl, user) {
+  const expiry = Math.floor(Date.now() / 1000) + ttl;
+  const username = `${expiry}:${user}`;
+  const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+  return { username, credential };
+}
+
+/**
+ * Build the RTCConfiguration sent to a client
+ * ttl is null when there are no expiring credentials in it
+ */
+function buildIceConfig(settings, user) {
+  const iceServers = [...settings.iceServers];
+  let ttl = null;
+
+  if (settings.turn) {
+    const { username, credential } = createTurnCredentials(settings.turn.secret, settings.turn.ttl, user);
+    iceServers.push({ urls: settings.turn.urls, username, credential });
+    ttl = settings.turn.ttl;
+  }
+
+  return { iceServers, ttl };
+}
+
+module.exports = { loadIceSettings, buildIceConfig, createTurnCredentials };
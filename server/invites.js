@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const { signToken, verifyToken } = require('./access');
+
+// ============================================
+// Invite Links
+// ============================================
+//
+// A broadcaster can hand out links that join their room as a viewer without
+// the room key:
+//   /r/<roomId>?invite=<token>
+//
+// Only the owner key can claim the broadcaster slot, so invites never grant it.
+// Broadcaster invites stored before this rule are treated as revoked.
+//
+// The token is signed by the server (same format as access tokens) with the
+// claims { iid, rid, role, exp }. Each invite is also kept on the room with its
+// use count, so it can be listed, revoked and capped at maxUses; the stored
+// invite, not the token, decides whether a link still works.
+
+const INVITE_ROLES = ['viewer'];
+const MAX_INVITES_PER_ROOM = 50;
+
+/**
+ * Check whether an invite can still be redeemed
+ */
+function isActive(invite, now = Date.now()) {
+  return INVITE_ROLES.includes(invite.role) && invite.expiresAt > now && invite.uses < invite.maxUses;
+}
+
+/**
+ * Sign the token for an invite (the same invite always gives the same token)
+ */
+function signInvite(secret, roomId, invite) {
+  return signToken(secret, { iid: invite.id, rid: roomId, role: invite.role, exp: Math.floor(invite.expiresAt / 1000) });
+}
+
+/**
+ * Add an invite to a room
+ * `expiresIn` is in seconds; returns { invite, token } or { error, message }
+ */
+function createInvite(room, secret, { role, expiresIn, maxUses }) {
+  // Invites that can no longer be used don't count against the limit
+  room.invites = room.invites.filter(invite => isActive(invite));
+  if (room.invites.length >= MAX_INVITES_PER_ROOM) {
+    return { error: 'TOO_MANY_INVITES', message: `A room can have at most ${MAX_INVITES_PER_ROOM} active invites. Revoke some first.` };
+  }
+
+  const now = Date.now();
+  const invite = {
+    id: crypto.randomBytes(8).toString('hex'),
+    role,
+    uses: 0,
+    maxUses,
+    createdAt: now,
+    expiresAt: now + expiresIn * 1000
+  };
+  room.invites.push(invite);
+
+  return { invite, token: signInvite(secret, room.id, invite) };
+}
+
+/**
+ * Find the invite a token grants for a room
+ * Returns { invite } or { error, message }; the caller counts the use once the join succeeds
+ */
+function checkInvite(room, secret, token) {
+  const claims = verifyToken(secret, token);
+  if (!claims || claims.rid !== room.id) {
+    return { error: 'INVALID_INVITE', message: 'This invite link is invalid or has expired.' };
+  }
+
+  const invite = room.invites.find(candidate => candidate.id === claims.iid);
+  if (!invite || !INVITE_ROLES.includes(invite.role)) {
+    return { error: 'INVITE_REVOKED', message: 'This invite link was revoked.' };
+  }
+  if (invite.expiresAt <= Date.now()) {
+    return { error: 'INVALID_INVITE', message: 'This invite link is invalid or has expired.' };
+  }
+  if (invite.uses >= invite.maxUses) {
+    return { error: 'INVITE_USED_UP', message: 'This invite link has already been used.' };
+  }
+  return { invite };
+}
+
+/**
+ * List a room's usable invites with their tokens, for the broadcaster
+ */
+function listInvites(room, secret) {
+  return room.invites
+    .filter(invite => isActive(invite))
+    .map(invite => ({ ...invite, token: signInvite(secret, room.id, invite) }));
+}
+
+/**
+ * Remove an invite from a room
+ * Returns false if the room has no such invite
+ */
+function revokeInvite(room, inviteId) {
+  const count = room.invites.length;
+  room.invites = room.invites.filter(invite => invite.id !== inviteId);
+  return room.invites.length < count;
+}
+
+module.exports = { INVITE_ROLES, createInvite, checkInvite, listInvites, revokeInvite };
@@ -0,0 +1,111 @@
+// ============================================
+// Failed Key Attempts
+// ============================================
+//
+// Wrong room keys and invite tokens are counted in three scopes: the
+// connection, the client's IP and the room. Once a scope reaches its limit,
+// every further failure locks it out for twice as long as the one before, up
+// to lockoutMaxDelay. A scope's count is forgotten attemptWindow after its
+// last failure.
+//
+// Methods take a subject { connection, ip, roomId }. Leaving out roomId skips
+// the room-wide scope, so a room lockout can't block a client's other checks.
+
+/**
+ * Create the tracker for failed key attempts
+ */
+function createAttemptTracker(config) {
+  const scopes = [
+    { field: 'connection', store: new WeakMap(), limit: config.connectionKeyAttempts }, // WeakMap<WebSocket, AttemptRecord>
+    { field: 'ip', store: new Map(), limit: config.ipKeyAttempts }, // Map<ip, AttemptRecord>
+    { field: 'roomId', store: new Map(), limit: config.roomKeyAttempts } // Map<roomId, AttemptRecord>
+  ];
+  const [connectionScope, ipScope, roomScope] = scopes;
+
+  /**
+   * Get the live attempt record for a key, dropping it once the window has passed
+   */
+  function getRecord(store, key) {
+    const record = store.get(key);
+    if (record && Date.now() - record.lastFailure > config.attemptWindow) {
+      store.delete(key);
+      return null;
+    }
+    return record || null;
+  }
+
+  /**
+   * Get the scopes that apply to a subject, with the subject's key in each
+   */
+  function scopesOf(subject) {
+    return scopes
+      .filter(scope => subject[scope.field] !== undefined && subject[scope.field] !== null)
+      .map(scope => ({ ...scope, key: subject[scope.field] }));
+  }
+
+  return {
+    /**
+     * Get how long a subject must wait before its next key attempt, in ms (0 if allowed)
+     */
+    getLockoutRemaining(subject) {
+      const now = Date.now();
+      let remaining = 0;
+
+      for (const { store, key } of scopesOf(subject)) {
+        const record = getRecord(store, key);
+        if (record && record.lockedUntil > now) {
+          remaining = Math.max(remaining, record.lockedUntil - now);
+        }
+      }
+      return remaining;
+    },
+
+    /**
+     * Record a failed key attempt in every scope of a subject
+     */
+    recordFailure(subject) {
+      const now = Date.now();
+
+      for (const { store, key, limit } of scopesOf(subject)) {
+        const record = getRecord(store, key) || { failures: 0, lockedUntil: 0, lastFailure: 0 };
+        record.failures++;
+        record.lastFailure = now;
+
+        if (record.failures >= limit) {
+          // Doubles with every failure past the limit
+          const delay = config.lockoutBaseDelay * Math.pow(2, record.failures - limit);
+          record.lockedUntil = now + Math.min(delay, config.lockoutMaxDelay);
+        }
+        store.set(key, record);
+      }
+    },
+
+    /**
+     * Forget a client's failed attempts after it proves it knows a key; the room's count stays
+     */
+    clearClient({ connection, ip }) {
+      connectionScope.store.delete(connection);
+      ipScope.store.delete(ip);
+    },
+
+    /**
+     * Forget a room's failed attempts, e.g. when its key changes or it closes
+     */
+    clearRoom(roomId) {
+      roomScope.store.delete(roomId);
+    },
+
+    /**
+     * Drop attempt records whose window has passed (connection records go with their socket)
+     */
+    prune() {
+      for (const { store } of [ipScope, roomScope]) {
+        for (const key of store.keys()) {
+          getRecord(store, key);
+        }
+      }
+    }
+  };
+}
+
+module.exports = { createAttemptTracker };
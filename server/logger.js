@@ -0,0 +1,75 @@
+// ============================================
+// Logging
+// ============================================
+//
+// Every entry carries a level, timestamp and event name, plus whatever
+// correlation fields the caller has (clientId, roomId, ip, ...):
+//
+//   {"level":"info","time":"2024-01-01T12:00:00.000Z","event":"participant-joined",
+//    "msg":"Client joined room","clientId":"client-3","roomId":"room-1a2b3c4d","ip":"203.0.113.7","role":"viewer"}
+//
+// The "json" format writes one object per line for log collectors; "pretty"
+// writes the same fields as a readable line for local development.
+// Secrets and chat contents are never written, whatever the caller passes in.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Fields that may hold room keys, tokens or chat text
+const REDACTED_FIELDS = new Set(['key', 'ownerKey', 'token', 'resumeToken', 'secret', 'password', 'message', 'text']);
+
+/**
+ * Make a field value safe to write: drop secrets and flatten errors
+ */
+function sanitize(name, value) {
+  if (REDACTED_FIELDS.has(name)) return '[redacted]';
+  if (value instanceof Error) return { message: value.message, stack: value.stack };
+  return value;
+}
+
+/**
+ * Format an entry as a readable line: time, level, message, then key=value fields
+ */
+function formatPretty(entry) {
+  const { level, time, event, msg, ...fields } = entry;
+  const details = Object.entries(fields)
+    .map(([name, value]) => {
+      if (value && value.stack) return `\n${value.stack}`;
+      return `${name}=${typeof value === 'object' ? JSON.stringify(value) : value}`;
+    })
+    .join(' ');
+
+  return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${msg}` +
+    (details ? ` [${event}] ${details}` : ` [${event}]`);
+}
+
+/**
+ * Create a logger from the server configuration
+ * Each method takes an event name, a message and optional correlation fields
+ */
+function createLogger(config, output = { out: process.stdout, err: process.stderr }) {
+  const minLevel = LEVELS[config.logLevel] || LEVELS.info;
+  const format = config.logFormat || (output.out.isTTY ? 'pretty' : 'json');
+
+  function write(level, event, msg, fields = {}) {
+    if (LEVELS[level] < minLevel) return;
+
+    const entry = { level, time: new Date().toISOString(), event, msg };
+    for (const [name, value] of Object.entries(fields)) {
+      if (value !== undefined && value !== null) {
+        entry[name] = sanitize(name, value);
+      }
+    }
+
+    const line = format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry);
+    (LEVELS[level] >= LEVELS.warn ? output.err : output.out).write(line + '\n');
+  }
+
+  return {
+    debug: (event, msg, fields) => write('debug', event, msg, fields),
+    info: (event, msg, fields) => write('info', event, msg, fields),
+    warn: (event, msg, fields) => write('warn', event, msg, fields),
+    error: (event, msg, fields) => write('error', event, msg, fields)
+  };
+}
+
+module.exports = { createLogger, LOG_LEVELS: Object.keys(LEVELS) };
@@ -0,0 +1,115 @@
+// ============================================
+// Metrics
+// ============================================
+//
+// A minimal collector that renders the Prometheus text exposition format
+// (https://prometheus.io/docs/instrumenting/exposition_formats/).
+// Counters and histograms are updated as things happen; gauges are read from
+// a callback at scrape time so they always reflect the live state.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Escape a label value for the text format
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a label set as {a="1",b="2"}, or nothing if it's empty
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Create a counter; values are kept per label set
+ */
+function createCounter(name, help) {
+  const values = new Map(); // Map<formatted labels, value>
+
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = formatLabels(labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const [labels, value] of values) {
+        lines.push(`${name}${labels} ${value}`);
+      }
+      return lines;
+    }
+  };
+}
+
+/**
+ * Create a gauge whose value is read at scrape time
+ * `collect` returns a number, or a list of { labels, value }
+ */
+function createGauge(name, help, collect) {
+  return {
+    render() {
+      const result = collect();
+      const samples = typeof result === 'number' ? [{ labels: {}, value: result }] : result;
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+      for (const { labels, value } of samples) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      }
+      return lines;
+    }
+  };
+}
+
+/**
+ * Create a histogram with fixed upper bounds
+ */
+function createHistogram(name, help, buckets) {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const counts = bounds.map(() => 0);
+  let sum = 0;
+  let count = 0;
+
+  return {
+    observe(value) {
+      for (let i = 0; i < bounds.length; i++) {
+        if (value <= bounds[i]) counts[i]++;
+      }
+      sum += value;
+      count++;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      bounds.forEach((bound, i) => {
+        lines.push(`${name}_bucket{le="${bound}"} ${counts[i]}`);
+      });
+      lines.push(`${name}_bucket{le="+Inf"} ${count}`);
+      lines.push(`${name}_sum ${sum}`);
+      lines.push(`${name}_count ${count}`);
+      return lines;
+    }
+  };
+}
+
+/**
+ * Create a registry that metrics are created through and rendered from
+ */
+function createRegistry() {
+  const metrics = [];
+
+  function register(metric) {
+    metrics.push(metric);
+    return metric;
+  }
+
+  return {
+    counter: (name, help) => register(createCounter(name, help)),
+    gauge: (name, help, collect) => register(createGauge(name, help, collect)),
+    histogram: (name, help, buckets) => register(createHistogram(name, help, buckets)),
+    render: () => metrics.flatMap(metric => metric.render()).join('\n') + '\n'
+  };
+}
+
+module.exports = { createRegistry, CONTENT_TYPE };
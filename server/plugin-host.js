@@ -0,0 +1,245 @@
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// Plugins
+// ============================================
+//
+// A plugin is a module exporting { name, register(api) }. register() runs once
+// at startup and may use:
+//
+//   api.handle(type, handler, { schema, rateClass })
+//       Handle a new client message type. handler(ws, message) gets messages
+//       that passed `schema` (field rules as in protocol.js); `rateClass` picks
+//       the rate limit bucket: signaling (default), chat or room. The handler
+//       may be async; a throw or rejection is logged.
+//   api.before(hook, fn)
+//       fn(payload) runs before the action and must be synchronous. Return
+//       { error, message } to veto it, a new payload object to transform it,
+//       or nothing to let it through. A hook that throws or returns anything
+//       else (a promise included) refuses the request.
+//   api.after(hook, fn)
+//       fn(payload, result) runs synchronously after the action, vetoed or not.
+//   api.route(method, pathname, handler)
+//       Serve an HTTP route; handler(req, res) matches the path without its query.
+//       It may be async; a throw or rejection is logged and answered with a 500.
+//   api.run(hook, payload, action)
+//       Run action(payload) wrapped in the hooks registered for `hook`. If the
+//       action returns a promise (createRoom and joinRoom do), so does run().
+//   api.core, api.config, api.metrics, api.log
+//       Server helpers (see pluginCore in server.js), configuration, the
+//       Prometheus registry and a logger that tags entries with the plugin name.
+//
+// Hooks: createRoom, joinRoom, leaveRoom and chat. They wrap the client's
+// request; leaves caused by disconnects, kicks or closed rooms don't run them.
+
+const HOOKS = ['createRoom', 'joinRoom', 'leaveRoom', 'chat'];
+const RATE_CLASSES = ['signaling', 'chat', 'room'];
+const HOOK_FAILED = { error: 'PLUGIN_FAILED', message: 'The server could not process this request.' };
+
+/**
+ * Create the registry that plugins extend
+ * `reservedTypes` are message types the server handles itself
+ */
+function createPluginHost(config, log, { reservedTypes = [] } = {}) {
+  const handlers = new Map(); // Map<message type, { plugin, handler, rateClass }>
+  const schemas = new Map(); // Map<message type, schema>, read by the message validator
+  const hooks = { before: new Map(), after: new Map() }; // Map<hook, [{ plugin, fn }]>
+  const routes = []; // [{ plugin, method, pathname, handler }]
+  const loaded = new Set(); // Plugin names
+
+  for (const hook of HOOKS) {
+    hooks.before.set(hook, []);
+    hooks.after.set(hook, []);
+  }
+
+  function checkHook(plugin, hook) {
+    if (!HOOKS.includes(hook)) {
+      throw new Error(`Plugin ${plugin} used unknown hook ${hook} (expected ${HOOKS.join(', ')})`);
+    }
+  }
+
+  /**
+   * Prefix plugin log entries with the plugin's name
+   */
+  function createPluginLogger(name) {
+    const wrap = level => (event, msg, fields = {}) => log[level](event, msg, { plugin: name, ...fields });
+    return { debug: wrap('debug'), info: wrap('info'), warn: wrap('warn'), error: wrap('error') };
+  }
+
+  /**
+   * Run an action between the before and after hooks for `hook`
+   * Returns the veto ({ error, message }) if a before hook refused, otherwise the action's result
+   */
+  function run(hook, payload, action) {
+    let result = null;
+    for (const { plugin, fn } of hooks.before.get(hook)) {
+      let outcome;
+      try {
+        outcome = fn(payload);
+      } catch (e) {
+        log.error('plugin-hook-failed', 'Plugin before-hook failed', { plugin, hook, error: e });
+        result = { ...HOOK_FAILED };
+        break;
+      }
+      // A veto that arrives later can't be honoured, so an async hook refuses rather than lets through
+      if (outcome !== undefined && outcome !== null &&
+        (typeof outcome !== 'object' || typeof outcome.then === 'function')) {
+        log.error('plugin-hook-invalid', 'Plugin before-hook returned something other than a veto or payload', {
+          plugin,
+          hook,
+          returned: typeof outcome.then === 'function' ? 'promise' : typeof outcome
+        });
+        result = { ...HOOK_FAILED };
+        break;
+      }
+      if (outcome && outcome.error) {
+        log.info('plugin-veto', 'Plugin vetoed a request', { plugin, hook, code: outcome.error });
+        result = { error: outcome.error, message: outcome.message || 'Request refused.' };
+        break;
+      }
+      if (outcome) payload = outcome;
+    }
+
+    if (!result) {
+      result = action(payload);
+    }
+
+    // Actions that wait on key hashing return a promise; the after hooks see what it settles with
+    if (result && typeof result.then === 'function') {
+      return result.then(settled => runAfterHooks(hook, payload, settled));
+    }
+    return runAfterHooks(hook, payload, result);
+  }
+
+  /**
+   * Run the after hooks for `hook` and pass the result through
+   */
+  function runAfterHooks(hook, payload, result) {
+    // A failing observer must not undo an action that already happened
+    for (const { plugin, fn } of hooks.after.get(hook)) {
+      try {
+        fn(payload, result);
+      } catch (e) {
+        log.error('plugin-hook-failed', 'Plugin after-hook failed', { plugin, hook, error: e });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Register a plugin
+   */
+  function load(plugin, core) {
+    if (!plugin || typeof plugin.register !== 'function') {
+      throw new Error('A plugin must export { name, register(api) }');
+    }
+    const name = plugin.name;
+    if (!name || loaded.has(name)) {
+      throw new Error(`Plugin name is missing or already loaded: ${name}`);
+    }
+
+    plugin.register({
+      name,
+      config,
+      core,
+      metrics: core.metrics,
+      log: createPluginLogger(name),
+      run,
+      handle(type, handler, { schema = {}, rateClass = 'signaling' } = {}) {
+        if (reservedTypes.includes(type) || handlers.has(type)) {
+          throw new Error(`Plugin ${name} tried to handle ${type}, which is already handled`);
+        }
+        if (!RATE_CLASSES.includes(rateClass)) {
+          throw new Error(`Plugin ${name} used unknown rate class ${rateClass} for ${type}`);
+        }
+        handlers.set(type, { plugin: name, handler, rateClass });
+        schemas.set(type, schema);
+      },
+      before(hook, fn) {
+        checkHook(name, hook);
+        hooks.before.get(hook).push({ plugin: name, fn });
+      },
+      after(hook, fn) {
+        checkHook(name, hook);
+        hooks.after.get(hook).push({ plugin: name, fn });
+      },
+      route(method, pathname, handler) {
+        routes.push({ plugin: name, method: method.toUpperCase(), pathname, handler });
+      }
+    });
+
+    loaded.add(name);
+    log.info('plugin-loaded', 'Plugin loaded', { plugin: name });
+  }
+
+  /**
+   * Load every plugin in a directory: .js files and folders with an index.js, in name order
+   */
+  function loadDirectory(dir, core) {
+    const entries = fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => (entry.isFile() && entry.name.endsWith('.js')) ||
+        (entry.isDirectory() && fs.existsSync(path.join(dir, entry.name, 'index.js'))))
+      .map(entry => entry.name)
+      .sort();
+
+    for (const entry of entries) {
+      const plugin = require(path.resolve(dir, entry));
+      load({ name: path.basename(entry, '.js'), ...plugin }, core);
+    }
+  }
+
+  return {
+    schemas,
+    load,
+    loadDirectory,
+    run,
+
+    /**
+     * Get the rate limit bucket of a plugin message type (undefined for built-in types)
+     */
+    getRateClass(type) {
+      const entry = handlers.get(type);
+      return entry ? entry.rateClass : undefined;
+    },
+
+    /**
+     * Pass a validated message to the plugin that handles its type
+     */
+    dispatch(ws, message) {
+      const entry = handlers.get(message.type);
+      if (!entry) return;
+
+      Promise.resolve()
+        .then(() => entry.handler(ws, message))
+        .catch(e => {
+          log.error('plugin-handler-failed', 'Plugin message handler failed', { plugin: entry.plugin, type: message.type, error: e });
+        });
+    },
+
+    /**
+     * Serve a request from a plugin route
+     * Returns true if a route matched and the request was handled
+     */
+    handleRequest(req, res) {
+      const pathname = req.url.split('?')[0];
+      const route = routes.find(r => r.pathname === pathname && r.method === req.method);
+      if (!route) return false;
+
+      Promise.resolve()
+        .then(() => route.handler(req, res))
+        .catch(e => {
+          log.error('plugin-route-failed', 'Plugin route failed', { plugin: route.plugin, pathname, error: e });
+          if (!res.headersSent) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Internal server error' }));
+          } else {
+            res.end();
+          }
+        });
+      return true;
+    }
+  };
+}
+
+module.exports = { createPluginHost };
@@ -0,0 +1,51 @@
+// ============================================
+// Room Chat
+// ============================================
+//
+// Relays chat messages to everyone in the sender's room. Other plugins can
+// filter or refuse messages with before('chat') hooks, which receive
+// { ws, room, message } and may return a payload with a rewritten message.
+
+module.exports = {
+  name: 'chat',
+  register(api) {
+    const { getRoom, getClientId, sendTo, sendToViewers, socketContext, emitAdminEvent } = api.core;
+    const chatMessages = api.metrics.counter('streamhq_chat_messages_total', 'Chat messages relayed to a room');
+
+    api.handle('chat-message', (ws, message) => {
+      const room = getRoom(ws);
+      if (!room) return;
+
+      const senderRole = room.broadcaster === ws ? 'broadcaster' : 'viewer';
+      const result = api.run('chat', { ws, room, message: message.message }, payload => {
+        const broadcast = {
+          type: 'chat-broadcast',
+          sender: senderRole,
+          senderId: getClientId(ws),
+          message: payload.message,
+          timestamp: Date.now()
+        };
+
+        // Broadcast to all room participants
+        sendTo(room.broadcaster, broadcast);
+        sendToViewers(room, broadcast);
+        return broadcast;
+      });
+
+      if (result.error) {
+        sendTo(ws, { type: 'request-rejected', messageType: 'chat-message', code: result.error, error: result.message });
+        return;
+      }
+
+      api.log.debug('chat-message', 'Chat message relayed', { ...socketContext(ws), role: senderRole, length: result.message.length });
+      chatMessages.inc();
+      // Admins see that a message was sent, never what it said
+      emitAdminEvent('chat-message', room, { clientId: getClientId(ws), role: senderRole });
+    }, {
+      schema: {
+        message: { type: 'string', required: true, minLength: 1, maxLength: api.config.maxChatLength }
+      },
+      rateClass: 'chat'
+    });
+  }
+};
@@ -0,0 +1,127 @@
+// ============================================
+// WebRTC Signaling
+// ============================================
+//
+// Relays offers, answers and ICE candidates between the broadcaster and each
+// viewer of a room, and tracks whether the broadcaster is streaming.
+// Built in, but written against the plugin API like any other plugin.
+
+const MAX_SDP_LENGTH = 64 * 1024;
+
+const CLIENT_ID = { type: 'string', maxLength: 32 };
+
+/**
+ * Schema for an RTCSessionDescription of the given type
+ */
+function sessionDescription(type) {
+  return {
+    type: 'object',
+    required: true,
+    fields: {
+      type: { type: 'string', required: true, enum: [type] },
+      sdp: { type: 'string', required: true, maxLength: MAX_SDP_LENGTH }
+    }
+  };
+}
+
+const ICE_CANDIDATE = {
+  type: 'object',
+  required: true,
+  fields: {
+    candidate: { type: 'string', required: true, maxLength: 1024 },
+    sdpMid: { type: 'string', nullable: true, maxLength: 64 },
+    sdpMLineIndex: { type: 'integer', nullable: true, min: 0 },
+    usernameFragment: { type: 'string', nullable: true, maxLength: 256 }
+  }
+};
+
+module.exports = {
+  name: 'signaling',
+  register(api) {
+    const { getRoom, getClientId, sendTo, setStreaming } = api.core;
+
+    api.handle('broadcaster-ready', ws => {
+      const room = getRoom(ws);
+      if (!room || room.broadcaster !== ws) return;
+
+      setStreaming(room, true);
+
+      // Notify broadcaster of every viewer already waiting
+      for (const viewerId of room.viewers.keys()) {
+        sendTo(ws, { type: 'viewer-joined', viewerId });
+      }
+    });
+
+    api.handle('broadcaster-stopped', ws => {
+      const room = getRoom(ws);
+      if (room && room.broadcaster === ws) {
+        setStreaming(room, false);
+      }
+    });
+
+    api.handle('viewer-join', ws => {
+      const room = getRoom(ws);
+      if (!room) return;
+
+      if (room.broadcaster) {
+        // The viewer asked for a stream, so whatever connection the broadcaster has to it isn't working
+        sendTo(room.broadcaster, { type: 'viewer-joined', viewerId: getClientId(ws), requested: true });
+      } else {
+        sendTo(ws, { type: 'no-broadcaster' });
+      }
+    });
+
+    api.handle('offer', (ws, message) => {
+      const room = getRoom(ws);
+      if (!room || room.broadcaster !== ws) return;
+
+      sendTo(room.viewers.get(message.viewerId), {
+        type: 'offer',
+        offer: message.offer
+      });
+    }, {
+      schema: {
+        viewerId: { ...CLIENT_ID, required: true },
+        offer: sessionDescription('offer')
+      }
+    });
+
+    api.handle('answer', (ws, message) => {
+      const room = getRoom(ws);
+      if (!room || !room.broadcaster) return;
+
+      sendTo(room.broadcaster, {
+        type: 'answer',
+        viewerId: getClientId(ws),
+        answer: message.answer
+      });
+    }, {
+      schema: { answer: sessionDescription('answer') }
+    });
+
+    api.handle('ice-candidate', (ws, message) => {
+      const room = getRoom(ws);
+      if (!room) return;
+
+      if (ws === room.broadcaster) {
+        // From broadcaster to the addressed viewer
+        sendTo(room.viewers.get(message.viewerId), {
+          type: 'ice-candidate',
+          candidate: message.candidate
+        });
+      } else if (room.viewers.get(getClientId(ws)) === ws) {
+        // From viewer to broadcaster
+        sendTo(room.broadcaster, {
+          type: 'ice-candidate',
+          viewerId: getClientId(ws),
+          candidate: message.candidate
+        });
+      }
+    }, {
+      schema: {
+        viewerId: CLIENT_ID, // Required from the broadcaster, ignored from viewers
+        candidate: ICE_CANDIDATE
+      }
+    });
+  }
+};
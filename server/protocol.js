@@ -0,0 +1,172 @@
+const { INVITE_ROLES } = require('./invites');
+
+// ============================================
+// Signaling Message Schemas
+// ============================================
+//
+// Each client → server message type maps to the fields it may carry.
+// A field rule is { type, required, nullable, minLength, maxLength, min, max,
+// pattern, enum, fields } where `fields` describes the members of an object.
+// Fields not listed in a schema are ignored by the handlers.
+// Types handled by plugins (signaling and chat among them) come with their
+// own schemas, registered through the plugin API.
+
+const ROOM_ID_PATTERN = /^room-[a-f0-9]{8}$/;
+const MAX_KEY_LENGTH = 128;
+const MAX_ROOM_NAME_LENGTH = 30;
+const MIN_KEY_LENGTH = 4;
+const MAX_INVITE_TOKEN_LENGTH = 512;
+const MAX_INVITE_USES = 1000;
+const MAX_DISPLAY_NAME_LENGTH = 40;
+const MAX_BROWSER_ID_LENGTH = 64;
+const CLIENT_ID = { type: 'string', required: true, maxLength: 32 };
+const ROOM_VISIBILITIES = ['public', 'unlisted', 'private'];
+
+/**
+ * Build the schema table; some limits come from the server config
+ */
+function buildSchemas(config) {
+  return {
+    'ping': {},
+
+    'create-room': {
+      name: { type: 'string', maxLength: MAX_ROOM_NAME_LENGTH },
+      key: { type: 'string', required: true, minLength: MIN_KEY_LENGTH, maxLength: MAX_KEY_LENGTH },
+      capacity: { type: 'integer', min: 1, max: config.maxViewersPerRoom },
+      visibility: { type: 'string', enum: ROOM_VISIBILITIES }, // Defaults to public
+      knock: { type: 'boolean' } // Viewers wait for the broadcaster's approval
+    },
+    'join-room': {
+      roomId: { type: 'string', required: true, pattern: ROOM_ID_PATTERN },
+      key: { type: 'string', maxLength: MAX_KEY_LENGTH }, // Either a key or an invite token
+      invite: { type: 'string', maxLength: MAX_INVITE_TOKEN_LENGTH },
+      resumeToken: { type: 'string', maxLength: 64 },
+      displayName: { type: 'string', maxLength: MAX_DISPLAY_NAME_LENGTH }, // Shown to the broadcaster in knock mode and the participant list
+      browserId: { type: 'string', maxLength: MAX_BROWSER_ID_LENGTH } // Kept by the browser across visits; what a ban applies to
+    },
+    'leave-room': {},
+    'get-room-list': {},
+
+    'create-invite': {
+      role: { type: 'string', enum: INVITE_ROLES },
+      expiresIn: { type: 'integer', min: 60, max: config.inviteMaxTtl }, // Seconds
+      maxUses: { type: 'integer', min: 1, max: MAX_INVITE_USES }
+    },
+    'list-invites': {},
+    'revoke-invite': {
+      inviteId: { type: 'string', required: true, maxLength: 32 }
+    },
+
+    'approve-knock': {
+      requestId: { type: 'string', required: true, maxLength: 32 }
+    },
+    'deny-knock': {
+      requestId: { type: 'string', required: true, maxLength: 32 }
+    },
+
+    'list-participants': {},
+    'kick-participant': {
+      clientId: CLIENT_ID
+    },
+    'ban-participant': {
+      clientId: CLIENT_ID
+    },
+    'lock-room': {
+      locked: { type: 'boolean', required: true }
+    },
+    'change-room-key': {
+      key: { type: 'string', required: true, minLength: MIN_KEY_LENGTH, maxLength: MAX_KEY_LENGTH }
+    },
+
+    'admin-subscribe': {
+      token: { type: 'string', required: true, maxLength: 256 }
+    }
+  };
+}
+
+/**
+ * Get the JSON type name of a value, distinguishing integers, arrays and null
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check a value against a field rule
+ * Returns a description of the first problem, or null if the value is valid
+ */
+function checkField(path, value, rule) {
+  if (value === undefined) {
+    return rule.required ? `${path} is required` : null;
+  }
+  if (value === null && rule.nullable) return null;
+
+  const actual = typeOf(value);
+  const typeMatches = actual === rule.type || (rule.type === 'number' && actual === 'integer');
+  if (!typeMatches) return `${path} must be of type ${rule.type}`;
+
+  if (rule.type === 'string') {
+    if (rule.minLength !== undefined && value.length < rule.minLength) return `${path} is too short`;
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) return `${path} is too long`;
+    if (rule.pattern && !rule.pattern.test(value)) return `${path} has an invalid format`;
+  }
+  if (rule.type === 'integer' || rule.type === 'number') {
+    if (rule.min !== undefined && value < rule.min) return `${path} must be >= ${rule.min}`;
+    if (rule.max !== undefined && value > rule.max) return `${path} must be <= ${rule.max}`;
+  }
+  if (rule.enum && !rule.enum.includes(value)) return `${path} must be one of ${rule.enum.join(', ')}`;
+
+  if (rule.type === 'object' && rule.fields) {
+    for (const [name, fieldRule] of Object.entries(rule.fields)) {
+      const problem = checkField(`${path}.${name}`, value[name], fieldRule);
+      if (problem) return problem;
+    }
+  }
+  return null;
+}
+
+/**
+ * List the message types the server handles itself
+ */
+function getCoreMessageTypes(config) {
+  return Object.keys(buildSchemas(config));
+}
+
+/**
+ * Create a validator for parsed client messages
+ * `pluginSchemas` is the live Map of schemas registered by plugins
+ * The validator returns null for a valid message, or { code, messageType, error }
+ */
+function createValidator(config, pluginSchemas = new Map()) {
+  const schemas = buildSchemas(config);
+
+  return function validateMessage(message) {
+    if (typeOf(message) !== 'object') {
+      return { code: 'INVALID_MESSAGE', messageType: null, error: 'Message must be a JSON object.' };
+    }
+
+    const messageType = typeof message.type === 'string' ? message.type : null;
+    let schema = null;
+    if (messageType !== null && Object.prototype.hasOwnProperty.call(schemas, messageType)) {
+      schema = schemas[messageType];
+    } else if (messageType !== null && pluginSchemas.has(messageType)) {
+      schema = pluginSchemas.get(messageType);
+    }
+    if (!schema) {
+      return { code: 'UNKNOWN_TYPE', messageType, error: 'Unknown message type.' };
+    }
+
+    for (const [name, rule] of Object.entries(schema)) {
+      const problem = checkField(name, message[name], rule);
+      if (problem) {
+        return { code: 'INVALID_FIELD', messageType, error: problem };
+      }
+    }
+    return null;
+  };
+}
+
+module.exports = { createValidator, getCoreMessageTypes };
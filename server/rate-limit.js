@@ -0,0 +1,92 @@
+// ============================================
+// Rate Limiting
+// ============================================
+
+// Built-in message types grouped by the bucket they draw from
+// (plugins pick a bucket when registering their types)
+const MESSAGE_CLASSES = {
+  'ping': 'signaling',
+  'create-room': 'room',
+  'join-room': 'room',
+  'leave-room': 'room',
+  'get-room-list': 'room',
+  'create-invite': 'room',
+  'list-invites': 'room',
+  'revoke-invite': 'room',
+  'approve-knock': 'room',
+  'deny-knock': 'room',
+  'list-participants': 'room',
+  'kick-participant': 'room',
+  'ban-participant': 'room',
+  'lock-room': 'room',
+  'change-room-key': 'room',
+  'admin-subscribe': 'room'
+};
+
+/**
+ * Create a token bucket that holds up to `burst` tokens and refills `perMinute` tokens a minute
+ */
+function createBucket(burst, perMinute) {
+  return { tokens: burst, burst, refillPerMs: perMinute / 60000, updatedAt: Date.now() };
+}
+
+/**
+ * Take a token from a bucket
+ * Returns 0 if a token was available, otherwise the ms until one will be
+ */
+function takeToken(bucket) {
+  const now = Date.now();
+  bucket.tokens = Math.min(bucket.burst, bucket.tokens + (now - bucket.updatedAt) * bucket.refillPerMs);
+  bucket.updatedAt = now;
+
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return 0;
+  }
+  return Math.ceil((1 - bucket.tokens) / bucket.refillPerMs);
+}
+
+/**
+ * Create the per-connection limiter state: one bucket per message class plus a strike count
+ */
+function createConnectionLimiter(config) {
+  return {
+    buckets: {
+      signaling: createBucket(config.signalingBurst, config.signalingPerMinute),
+      chat: createBucket(config.chatBurst, config.chatPerMinute),
+      room: createBucket(config.roomBurst, config.roomPerMinute)
+    },
+    strikes: 0,
+    lastStrike: 0
+  };
+}
+
+/**
+ * Check a message against its class bucket
+ * `messageClass` defaults to the built-in class of the message type
+ * Returns { allowed: true } or { allowed: false, retryAfter, disconnect }, where
+ * retryAfter is in seconds and disconnect is set once the client keeps ignoring limits
+ */
+function checkRateLimit(limiter, messageType, config, messageClass = MESSAGE_CLASSES[messageType]) {
+  const bucket = limiter.buckets[messageClass];
+  if (!bucket) return { allowed: true };
+
+  const wait = takeToken(bucket);
+  if (wait === 0) return { allowed: true };
+
+  // Strikes are forgotten after a quiet period
+  const now = Date.now();
+  if (now - limiter.lastStrike > config.rateLimitStrikeWindow) {
+    limiter.strikes = 0;
+  }
+  limiter.strikes++;
+  limiter.lastStrike = now;
+
+  return {
+    allowed: false,
+    retryAfter: Math.ceil(wait / 1000),
+    disconnect: limiter.strikes >= config.rateLimitMaxStrikes
+  };
+}
+
+module.exports = { createConnectionLimiter, checkRateLimit };
@@ -0,0 +1,319 @@
+const net = require('net');
+
+// ============================================
+// Redis Cluster Adapter
+// ============================================
+//
+// Speaks the Redis protocol (RESP2) directly, so it works with Redis, Valkey,
+// KeyDB or any compatible server without adding a client dependency.
+//
+// Keys and channels, under the configured prefix (default "streamhq:"):
+//   <prefix>rooms              hash of roomId → room record JSON
+//   <prefix><channel>          pub/sub channels used by the server
+//
+// Two connections are used: one for commands and one that only subscribes,
+// since a subscribed connection can't run other commands.
+
+const RECONNECT_DELAY = 1000;
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ */
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return out;
+}
+
+/**
+ * Parse one RESP value from a buffer
+ * Returns { value, offset } or null if the buffer doesn't hold a complete value yet
+ */
+function parseReply(buffer, start = 0) {
+  if (start >= buffer.length) return null;
+
+  const lineEnd = buffer.indexOf('\r\n', start);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[start]);
+  const line = buffer.toString('utf8', start + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+
+      const items = [];
+      let offset = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, offset);
+        if (!item) return null;
+        items.push(item.value);
+        offset = item.offset;
+      }
+      return { value: items, offset };
+    }
+    default:
+      throw new Error(`Unexpected RESP type: ${type}`);
+  }
+}
+
+/**
+ * Open a self-reconnecting Redis connection
+ * `onPush` receives pub/sub messages; `onConnect` runs after every (re)connect
+ */
+function createConnection(url, log, { onPush = null, onConnect = null } = {}) {
+  const target = new URL(url);
+  const pending = []; // Callbacks for commands awaiting a reply, in order
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  let connected = false; // Set once AUTH and SELECT have gone through
+  let closed = false;
+  let readyResolve;
+  const ready = new Promise(resolve => { readyResolve = resolve; });
+
+  function connect() {
+    socket = net.connect(Number(target.port) || 6379, target.hostname);
+    buffer = Buffer.alloc(0);
+
+    socket.on('connect', async () => {
+      try {
+        if (target.password) {
+          await command(target.username
+            ? ['AUTH', decodeURIComponent(target.username), decodeURIComponent(target.password)]
+            : ['AUTH', decodeURIComponent(target.password)]);
+        }
+        const db = target.pathname.slice(1);
+        if (db) await command(['SELECT', db]);
+        connected = true;
+        if (onConnect) await onConnect();
+        log.info('redis-connected', 'Connected to Redis', { host: target.host });
+        readyResolve();
+      } catch (e) {
+        log.error('redis-setup-failed', 'Redis connection setup failed', { host: target.host, error: e });
+        socket.destroy();
+      }
+    });
+
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let reply;
+      while ((reply = parseReply(buffer))) {
+        buffer = buffer.subarray(reply.offset);
+        handleReply(reply.value);
+      }
+    });
+
+    socket.on('error', e => {
+      log.warn('redis-error', 'Redis connection error', { host: target.host, reason: e.message });
+    });
+
+    socket.on('close', () => {
+      connected = false;
+      while (pending.length > 0) {
+        pending.shift().reject(new Error('Redis connection closed'));
+      }
+      if (!closed) {
+        setTimeout(connect, RECONNECT_DELAY);
+      }
+    });
+  }
+
+  function handleReply(value) {
+    // Pub/sub deliveries arrive unprompted on a subscribed connection
+    if (onPush && Array.isArray(value) && value[0] === 'message') {
+      onPush(value[1], value[2]);
+      return;
+    }
+
+    const callback = pending.shift();
+    if (!callback) return;
+    if (value instanceof Error) {
+      callback.reject(value);
+    } else {
+      callback.resolve(value);
+    }
+  }
+
+  function command(args) {
+    return new Promise((resolve, reject) => {
+      pending.push({ resolve, reject });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * Run a command; fails fast while disconnected instead of queueing
+   */
+  function send(args) {
+    if (!connected) return Promise.reject(new Error('Redis is not connected'));
+    return command(args);
+  }
+
+  connect();
+
+  return {
+    ready,
+    send,
+    isConnected: () => connected,
+    close() {
+      closed = true;
+      socket.end();
+    }
+  };
+}
+
+/**
+ * Create an adapter that shares rooms and messages through Redis
+ */
+function createRedisAdapter(config, log, instanceId) {
+  const prefix = config.redisKeyPrefix;
+  const roomsKey = `${prefix}rooms`;
+  const handlers = new Map(); // Map<full channel name, Set<handler>>
+  const unsavedRooms = new Map(); // Map<roomId, command> for room writes that failed while disconnected
+  const reconnectHandlers = [];
+  let connectedOnce = false; // Set once both connections are up; later connects are reconnects
+
+  const commands = createConnection(config.redisUrl, log, {
+    onConnect() {
+      flushUnsavedRooms();
+      handleReconnect();
+    }
+  });
+  const subscriber = createConnection(config.redisUrl, log, {
+    onPush(channel, payload) {
+      const subscribers = handlers.get(channel);
+      if (!subscribers) return;
+
+      let message;
+      try {
+        message = JSON.parse(payload);
+      } catch (e) {
+        log.warn('redis-bad-message', 'Ignoring malformed pub/sub message', { channel });
+        return;
+      }
+      subscribers.forEach(handler => handler(message));
+    },
+    // Subscriptions don't survive a reconnect
+    async onConnect() {
+      await Promise.all([...handlers.keys()].map(channel => subscriber.send(['SUBSCRIBE', channel])));
+      handleReconnect();
+    }
+  });
+
+  Promise.all([commands.ready, subscriber.ready]).then(() => {
+    connectedOnce = true;
+  });
+
+  /**
+   * Tell the server once both connections are back after a drop, since pub/sub messages were lost meanwhile
+   */
+  function handleReconnect() {
+    if (!connectedOnce || !commands.isConnected() || !subscriber.isConnected()) return;
+    log.info('redis-reconnected', 'Reconnected to Redis, resyncing', { host: new URL(config.redisUrl).host });
+    reconnectHandlers.forEach(handler => handler());
+  }
+
+  /**
+   * Write or delete a room record, keeping the latest write per room to retry if Redis is unreachable
+   */
+  function writeRoom(roomId, args) {
+    commands.send(args).catch(e => {
+      unsavedRooms.set(roomId, args);
+      log.error('redis-command-failed', 'Redis command failed, will retry on reconnect', { command: args[0], roomId, error: e });
+    });
+  }
+
+  /**
+   * Retry the room writes that failed while disconnected
+   */
+  function flushUnsavedRooms() {
+    const pending = [...unsavedRooms];
+    unsavedRooms.clear();
+    for (const [roomId, args] of pending) {
+      writeRoom(roomId, args);
+    }
+  }
+
+  /**
+   * Run a command whose result nobody waits for, logging failures
+   */
+  function fireAndForget(args) {
+    commands.send(args).catch(e => {
+      log.error('redis-command-failed', 'Redis command failed', { command: args[0], error: e });
+    });
+  }
+
+  return {
+    instanceId,
+    publish(channel, message) {
+      fireAndForget(['PUBLISH', prefix + channel, JSON.stringify(message)]);
+    },
+    subscribe(channel, handler) {
+      const name = prefix + channel;
+      if (!handlers.has(name)) {
+        handlers.set(name, new Set());
+        // Otherwise onConnect subscribes to every known channel
+        if (subscriber.isConnected()) {
+          subscriber.send(['SUBSCRIBE', name]).catch(() => { });
+        }
+      }
+      handlers.get(name).add(handler);
+    },
+    store: {
+      async load() {
+        const flat = await commands.send(['HGETALL', roomsKey]);
+        const records = [];
+        for (let i = 0; i < flat.length; i += 2) {
+          try {
+            records.push(JSON.parse(flat[i + 1]));
+          } catch (e) {
+            log.warn('redis-bad-record', 'Ignoring malformed room record', { roomId: flat[i] });
+          }
+        }
+        return records;
+      },
+      save(record) {
+        writeRoom(record.id, ['HSET', roomsKey, record.id, JSON.stringify(record)]);
+      },
+      remove(roomId) {
+        writeRoom(roomId, ['HDEL', roomsKey, roomId]);
+      }
+    },
+    ready() {
+      let timer;
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          reject(new Error(`Could not connect to Redis at ${new URL(config.redisUrl).host} within ${config.redisConnectTimeout}ms`));
+        }, config.redisConnectTimeout);
+      });
+      return Promise.race([Promise.all([commands.ready, subscriber.ready]), timeout])
+        .finally(() => clearTimeout(timer));
+    },
+    onReconnect(handler) {
+      reconnectHandlers.push(handler);
+    },
+    close() {
+      commands.close();
+      subscriber.close();
+    }
+  };
+}
+
+module.exports = { createRedisAdapter };
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+
+// ============================================
+// Room Store
+// ============================================
+//
+// Keeps the durable part of each room so rooms survive a restart: id, name,
+// key salt and hashes, capacity and creation time. Sockets, participants and
+// sessions are never stored; restored rooms start empty.
+//
+// Backends share one synchronous interface:
+//   load()          → every stored room record
+//   save(record)    → insert or replace a record
+//   remove(roomId)  → forget a room
+
+const STORE_VERSION = 1;
+
+/**
+ * Keep rooms in process memory only (nothing survives a restart)
+ */
+function createMemoryStore() {
+  const records = new Map();
+
+  return {
+    load: () => [...records.values()],
+    save(record) {
+      records.set(record.id, record);
+    },
+    remove(roomId) {
+      records.delete(roomId);
+    }
+  };
+}
+
+/**
+ * Keep rooms in a JSON file, rewritten atomically on every change
+ */
+function createFileStore(file, log) {
+  const records = new Map();
+
+  function flush() {
+    const tmp = `${file}.tmp`;
+    const data = JSON.stringify({ version: STORE_VERSION, rooms: [...records.values()] }, null, 2);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(tmp, data, { mode: 0o600 }); // Holds key hashes
+    fs.renameSync(tmp, file);
+  }
+
+  return {
+    load() {
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (e) {
+        if (e.code === 'ENOENT') return [];
+
+        // Keep the unreadable file for inspection rather than overwriting it
+        const aside = `${file}.corrupt-${Date.now()}`;
+        fs.renameSync(file, aside);
+        log.error('room-store-corrupt', 'Room store is unreadable, starting empty', { file, movedTo: aside, error: e });
+        return [];
+      }
+
+      for (const record of data.rooms || []) {
+        records.set(record.id, record);
+      }
+      return [...records.values()];
+    },
+    save(record) {
+      records.set(record.id, record);
+      flush();
+    },
+    remove(roomId) {
+      if (records.delete(roomId)) {
+        flush();
+      }
+    }
+  };
+}
+
+/**
+ * Create the configured room store
+ */
+function createRoomStore(config, log) {
+  if (config.roomStore === 'file') {
+    return createFileStore(config.roomStoreFile, log);
+  }
+  return createMemoryStore();
+}
+
+module.exports = { createRoomStore };
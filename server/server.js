@@ -4,11 +4,56 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const crypto = require('crypto');
+const util = require('util');
 const { WebSocketServer } = require('ws');
+const { loadIceSettings, buildIceConfig } = require('./ice');
+const { loadConfig, getClientConfig } = require('./config');
+const { createValidator, getCoreMessageTypes } = require('./protocol');
+const { createConnectionLimiter, checkRateLimit } = require('./rate-limit');
+const { createAttemptTracker } = require('./key-attempts');
+const { createUpgradeVerifier, getAccessTokenCookie } = require('./access');
+const { createAdminApi, matchesToken, hasBearerToken } = require('./admin');
+const { createRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const { createLogger } = require('./logger');
+const { createAuditLog, queryAuditLog, parseTime } = require('./audit');
+const { createAdapter } = require('./adapter');
+const { loadWebhookSettings, createWebhookDispatcher } = require('./webhooks');
+const { createPluginHost } = require('./plugin-host');
+const { createInvite, checkInvite, listInvites, revokeInvite } = require('./invites');
+
+let config;
+try {
+  config = loadConfig();
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+
+const log = createLogger(config);
+
+// Durable record of room lifecycle events for compliance reviews
+const audit = createAuditLog(config, log);
+
+// Pub/sub between server instances, plus the shared room records
+const adapter = createAdapter(config, log);
+
+// Durable room records, restored as empty rooms on boot
+const roomStore = adapter.store;
+
+// scrypt cost parameters for room keys
+const KEY_HASH_LENGTH = 32;
+const KEY_SCRYPT_OPTIONS = { N: 16384, r: 8, p: 1 };
+const scrypt = util.promisify(crypto.scrypt);
+
+const DEFAULT_INVITE_TTL = 24 * 60 * 60; // Invite lifetime when the broadcaster doesn't pick one, in seconds
+
+const ROOM_LIST_DEBOUNCE = 100; // Coalesce room list broadcasts within this window, in ms
 
-const PORT = process.env.PORT || 3000;
-const MAX_ROOMS = 5;
-const ROOM_CLEANUP_TIMEOUT = 60000; // 60 seconds
+// Room lifetime histogram buckets, in seconds (1 minute to 1 day)
+const ROOM_LIFETIME_BUCKETS = [60, 300, 900, 1800, 3600, 7200, 14400, 43200, 86400];
+
+const CLUSTER_HEARTBEAT_INTERVAL = 5000; // How often instances announce they are alive, in ms
+const CLUSTER_INSTANCE_TIMEOUT = 15000; // Drop participants of an instance silent for this long
 
 // Auto-detect local IP address
 function getLocalIP() {
@@ -24,13 +69,37 @@ function getLocalIP() {
   return '0.0.0.0'; // Fallback: listen on all interfaces
 }
 
-const HOST = getLocalIP();
+const HOST = config.host || getLocalIP();
+
+// Key for signing invite links; a random one means links stop working on restart
+const inviteSecret = config.inviteSecret || crypto.randomBytes(32).toString('hex');
+if (!config.inviteSecret && config.clusterAdapter !== 'memory') {
+  log.warn('invite-secret-missing', 'INVITE_SECRET is not set, so invite links only work on the instance that created them');
+}
+
+// Origin and access token check for WebSocket upgrades
+const verifyUpgrade = createUpgradeVerifier(config);
+
+// Message handlers, hooks and routes added by plugins (loaded once the server functions exist)
+const plugins = createPluginHost(config, log, { reservedTypes: getCoreMessageTypes(config) });
+
+// Schema check for every incoming signaling message
+const validateMessage = createValidator(config, plugins.schemas);
+
+// ICE servers handed to clients (STUN plus optional TURN with rotating credentials)
+const iceSettings = loadIceSettings(config);
 
 // Check if SSL certificates exist
-const certsPath = path.join(__dirname, '../certs');
+const certsPath = config.certsPath;
 const useHttps = fs.existsSync(path.join(certsPath, 'key.pem')) &&
   fs.existsSync(path.join(certsPath, 'cert.pem'));
 
+// Static files are served from here and never from outside it
+const PUBLIC_DIR = path.join(__dirname, '../public');
+
+// Room pages: /r/<roomId> serves room.html, which reads the room from the URL
+const ROOM_PATH = /^\/r\/(room-[a-f0-9]{8})\/?$/;
+
 // MIME types for static file serving
 const MIME_TYPES = {
   '.html': 'text/html',
@@ -53,10 +122,58 @@ const rooms = new Map();
 // Client to room mapping: WeakMap<WebSocket, roomId>
 const clientRooms = new WeakMap();
 
-// Client IDs
+// Client IDs, prefixed with the instance ID so they are unique across the cluster
 const clientIds = new WeakMap();
 let nextClientId = 1;
 
+// Sockets connected to this instance: Map<clientId, WebSocket>
+const localClients = new Map();
+
+// Stand-ins for participants connected to other instances: Map<clientId, RemotePeer>
+const remotePeers = new Map();
+
+// When each other instance was last heard from: Map<instanceId, timestamp>
+const instanceLastSeen = new Map();
+
+// Client IP addresses: WeakMap<WebSocket, string>
+const clientIps = new WeakMap();
+
+// Open connections per IP: Map<ip, count>
+const ipConnectionCounts = new Map();
+
+// Whether a socket answered the last protocol-level ping: WeakMap<WebSocket, boolean>
+const clientAlive = new WeakMap();
+
+// Per-connection message rate limiters: WeakMap<WebSocket, Limiter>
+const clientLimiters = new WeakMap();
+
+// Pending coalesced room list broadcast
+let roomListTimer = null;
+
+// Failed key attempts per connection, IP and room
+const keyAttempts = createAttemptTracker(config);
+
+// Resumable sessions: Map<resumeToken, Session>
+const sessions = new Map();
+
+// Client to session mapping: WeakMap<WebSocket, Session>
+const clientSessions = new WeakMap();
+
+// Sockets whose create-room or join-room is waiting on key hashing
+const joiningClients = new WeakSet();
+
+// Sockets waiting in a knock-mode room: WeakMap<WebSocket, roomId>
+const clientKnocks = new WeakMap();
+
+// Browser ID each socket sent with join-room, which room bans apply to: WeakMap<WebSocket, browserId>
+const clientBrowsers = new WeakMap();
+
+// Sockets subscribed to the admin event stream
+const adminSubscribers = new Set();
+
+// Set once SIGTERM arrives: readiness fails and no new rooms are created
+let shuttingDown = false;
+
 /**
  * Generate a unique room ID
  */
@@ -65,17 +182,78 @@ function generateRoomId() {
 }
 
 /**
- * Hash a room key using SHA-256
+ * Generate the owner credential that lets its holder claim the broadcaster slot
+ */
+function generateOwnerKey() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Generate a random per-room salt for key hashing
+ */
+function generateSalt() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Hash a room key with scrypt and the room's salt
+ * Runs on the thread pool: each hash takes tens of ms, which would otherwise stall every room's signaling
+ */
+async function hashKey(key, salt) {
+  return (await scrypt(key, salt, KEY_HASH_LENGTH, KEY_SCRYPT_OPTIONS)).toString('hex');
+}
+
+/**
+ * Validate a key against a stored hash in constant time
+ */
+async function validateKey(inputKey, salt, storedHash) {
+  if (typeof inputKey !== 'string') return false;
+
+  const inputHash = Buffer.from(await hashKey(inputKey, salt), 'hex');
+  return crypto.timingSafeEqual(inputHash, Buffer.from(storedHash, 'hex'));
+}
+
+/**
+ * Get the client IP for an upgrade request
+ * Behind a trusted proxy this is the last X-Forwarded-For entry, the one the proxy appended;
+ * earlier entries come from the client and can be anything
+ */
+function getRemoteIp(req) {
+  if (config.trustProxy && req.headers['x-forwarded-for']) {
+    const forwarded = req.headers['x-forwarded-for'].split(',').map(entry => entry.trim()).filter(Boolean);
+    if (forwarded.length > 0) return forwarded[forwarded.length - 1];
+  }
+  return req.socket.remoteAddress;
+}
+
+/**
+ * Get what a socket's key attempts are counted against
+ * Without a roomId only the client's own scopes (connection and IP) apply
+ */
+function attemptSubject(ws, roomId) {
+  return { connection: ws, ip: clientIps.get(ws), roomId };
+}
+
+/**
+ * Get how long a client must wait before its next key attempt, in ms (0 if allowed)
+ * Pass a roomId to include the room-wide scope
+ */
+function getLockoutRemaining(ws, roomId) {
+  return keyAttempts.getLockoutRemaining(attemptSubject(ws, roomId));
+}
+
+/**
+ * Record a failed key attempt in every scope, with exponential backoff past each limit
  */
-function hashKey(key) {
-  return crypto.createHash('sha256').update(key).digest('hex');
+function recordFailedAttempt(ws, roomId) {
+  keyAttempts.recordFailure(attemptSubject(ws, roomId));
 }
 
 /**
- * Validate a key against a stored hash
+ * Forget failed attempts by a client after it proves it knows a key
  */
-function validateKey(inputKey, storedHash) {
-  return hashKey(inputKey) === storedHash;
+function clearFailedAttempts(ws) {
+  keyAttempts.clearClient(attemptSubject(ws));
 }
 
 /**
@@ -83,51 +261,379 @@ function validateKey(inputKey, storedHash) {
  */
 function getClientId(ws) {
   if (!clientIds.has(ws)) {
-    clientIds.set(ws, `client-${nextClientId++}`);
+    clientIds.set(ws, `client-${adapter.instanceId}-${nextClientId++}`);
   }
   return clientIds.get(ws);
 }
 
+/**
+ * Correlation fields for log entries about a socket
+ */
+function socketContext(ws) {
+  return { clientId: getClientId(ws), roomId: clientRooms.get(ws), ip: clientIps.get(ws) };
+}
+
+/**
+ * Generate an opaque token that lets a reconnecting client resume its session
+ */
+function generateResumeToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Start a resumable session for a socket that just took a room slot
+ */
+function createSession(ws, roomId, role) {
+  const session = {
+    token: generateResumeToken(),
+    clientId: getClientId(ws),
+    roomId,
+    role,
+    ws, // Socket currently holding the slot
+    graceTimer: null // Set while the socket is dropped and the slot is held
+  };
+
+  sessions.set(session.token, session);
+  clientSessions.set(ws, session);
+  return session;
+}
+
+/**
+ * Discard the session of a socket that is leaving for good
+ */
+function endSession(ws) {
+  const session = clientSessions.get(ws);
+  if (!session) return;
+
+  clearTimeout(session.graceTimer);
+  sessions.delete(session.token);
+  clientSessions.delete(ws);
+}
+
+/**
+ * Check whether a socket's slot is only being held for a possible resume
+ */
+function isSuspended(ws) {
+  const session = clientSessions.get(ws);
+  return Boolean(session && session.graceTimer);
+}
+
+/**
+ * Hold a dropped participant's slot for the grace period instead of leaving
+ * Returns false if the socket has no room session to hold
+ */
+function suspendSession(ws) {
+  const session = clientSessions.get(ws);
+  if (!session || !clientRooms.has(ws)) return false;
+
+  session.graceTimer = setTimeout(() => {
+    log.info('session-expired', 'Held session expired', { clientId: session.clientId, roomId: session.roomId, role: session.role });
+    leaveRoom(ws);
+  }, config.resumeGracePeriod);
+
+  log.info('session-suspended', 'Holding slot for dropped participant', { ...socketContext(ws), role: session.role });
+  emitAdminEvent('participant-suspended', rooms.get(session.roomId), { clientId: session.clientId, role: session.role });
+  return true;
+}
+
+/**
+ * Resume a held session on a new socket
+ * Returns null if the token is unknown so the caller can fall back to the room key
+ */
+function resumeSession(ws, roomId, token) {
+  if (clientRooms.has(ws)) {
+    return { error: 'ALREADY_IN_ROOM', message: 'You are already in a room. Leave first.' };
+  }
+
+  const session = sessions.get(token);
+  if (!session || session.roomId !== roomId) return null;
+
+  const room = rooms.get(roomId);
+  if (!room) {
+    endSession(session.ws);
+    return null;
+  }
+
+  const oldWs = session.ws;
+  clearTimeout(session.graceTimer);
+  session.graceTimer = null;
+  room.participants.get(session.clientId).lastSeen = Date.now();
+
+  // Move the slot, client ID and room membership over to the new socket
+  if (session.role === 'broadcaster') {
+    room.broadcaster = ws;
+  } else {
+    room.viewers.set(session.clientId, ws);
+  }
+  clientRooms.delete(oldWs);
+  clientSessions.delete(oldWs);
+  localClients.delete(getClientId(ws));
+  clientIds.set(ws, session.clientId);
+  localClients.set(session.clientId, ws);
+  clientRooms.set(ws, roomId);
+
+  // Rotate the token so a leaked one can only be used once
+  sessions.delete(session.token);
+  session.token = generateResumeToken();
+  session.ws = ws;
+  sessions.set(session.token, session);
+  clientSessions.set(ws, session);
+
+  // The old socket may still be half-open if the client noticed the drop first
+  if (oldWs.readyState === 1) {
+    oldWs.close(4000, 'Session resumed on another connection');
+  }
+
+  if (session.role === 'broadcaster') {
+    sendKnocks(room);
+  }
+
+  log.info('session-resumed', 'Client resumed its room session', { ...socketContext(ws), role: session.role });
+  audit.record('participant-resumed', { ...socketContext(ws), role: session.role });
+  emitAdminEvent('participant-resumed', room, { clientId: session.clientId, role: session.role });
+
+  // Notify the other side that the peer is back, instead of a leave/join pair
+  if (session.role === 'viewer') {
+    sendTo(room.broadcaster, { type: 'peer-resumed', role: 'viewer', viewerId: session.clientId });
+  } else {
+    sendToViewers(room, { type: 'peer-resumed', role: 'broadcaster' });
+  }
+
+  return { success: true, roomId, name: room.name, role: session.role, locked: room.locked, resumeToken: session.token, resumed: true };
+}
+
+/**
+ * Add a socket to a room's participant list
+ */
+function addParticipant(room, ws, role, displayName = null) {
+  const now = Date.now();
+  room.participants.set(getClientId(ws), {
+    clientId: getClientId(ws),
+    role,
+    displayName,
+    joinedAt: now,
+    lastSeen: now
+  });
+}
+
+/**
+ * Record that a socket was just heard from
+ */
+function touchParticipant(ws) {
+  const room = rooms.get(clientRooms.get(ws));
+  const participant = room && room.participants.get(getClientId(ws));
+  if (participant) {
+    participant.lastSeen = Date.now();
+  }
+}
+
+/**
+ * Resolve the viewer capacity requested at room creation
+ * Falls back to the server maximum when missing or out of range
+ */
+function resolveCapacity(capacity) {
+  const value = parseInt(capacity, 10);
+  if (!value || value < 1) return config.maxViewersPerRoom;
+  return Math.min(value, config.maxViewersPerRoom);
+}
+
+/**
+ * Send a message to a socket if it is still open
+ */
+function sendTo(ws, message) {
+  if (ws && ws.readyState === 1) { // WebSocket.OPEN
+    ws.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Send a room-error and count it by code
+ */
+function sendRoomError(ws, code, error, extra = {}) {
+  roomErrors.inc({ code });
+  sendTo(ws, { type: 'room-error', code, error, ...extra });
+}
+
+/**
+ * Send a message to every viewer in a room
+ */
+function sendToViewers(room, message) {
+  const data = JSON.stringify(message);
+  for (const viewer of room.viewers.values()) {
+    if (viewer.readyState === 1) {
+      viewer.send(data);
+    }
+  }
+}
+
+/**
+ * Mark whether a room's broadcaster is streaming, telling admins, webhooks and other instances
+ */
+function setStreaming(room, streaming) {
+  if ((room.streamingSince !== null) === streaming) return;
+
+  room.streamingSince = streaming ? Date.now() : null;
+  publishCluster('streaming', { roomId: room.id, since: room.streamingSince });
+
+  const clientId = getClientId(room.broadcaster);
+  emitAdminEvent(streaming ? 'stream-started' : 'stream-stopped', room, { clientId, role: 'broadcaster' });
+  if (streaming) {
+    webhooks.emit('stream-started', { roomId: room.id, clientId });
+  }
+}
+
 /**
  * Create a new room
  */
-function createRoom(ws, name, key) {
+async function createRoom(ws, name, key, capacity, visibility, knock) {
+  if (shuttingDown) {
+    return { error: 'SERVER_SHUTTING_DOWN', message: 'The server is restarting. Try again in a moment.' };
+  }
+
   // Check max rooms limit
-  if (rooms.size >= MAX_ROOMS) {
-    return { error: 'MAX_ROOMS', message: 'Maximum 5 rooms reached. Please join an existing room.' };
+  if (rooms.size >= config.maxRooms) {
+    return { error: 'MAX_ROOMS', message: `Maximum ${config.maxRooms} rooms reached. Please join an existing room.` };
   }
 
   // Check if client is already in a room
-  if (clientRooms.has(ws)) {
+  if (clientRooms.has(ws) || clientKnocks.has(ws) || joiningClients.has(ws)) {
     return { error: 'ALREADY_IN_ROOM', message: 'You are already in a room. Leave first.' };
   }
 
+  const ownerKey = generateOwnerKey();
+  const keySalt = generateSalt();
+  let keyHash;
+  let ownerKeyHash;
+  joiningClients.add(ws);
+  try {
+    [keyHash, ownerKeyHash] = await Promise.all([hashKey(key, keySalt), hashKey(ownerKey, keySalt)]);
+  } finally {
+    joiningClients.delete(ws);
+  }
+
+  // Other rooms may have been created, or the client gone, while the keys were hashed
+  if (ws.readyState !== 1) {
+    return { error: 'DISCONNECTED', message: 'The connection closed before the room was ready.' };
+  }
+  if (rooms.size >= config.maxRooms) {
+    return { error: 'MAX_ROOMS', message: `Maximum ${config.maxRooms} rooms reached. Please join an existing room.` };
+  }
+
   const roomId = generateRoomId();
-  const room = {
+  const room = buildRoom({
     id: roomId,
     name: name || 'Unnamed Room',
-    keyHash: hashKey(key),
-    broadcaster: ws,
-    viewer: null,
-    createdAt: Date.now(),
-    cleanupTimer: null
-  };
+    keySalt,
+    keyHash, // Viewer key
+    ownerKeyHash, // Broadcaster (owner) credential
+    capacity: resolveCapacity(capacity),
+    visibility: visibility || 'public',
+    knock: Boolean(knock),
+    createdAt: Date.now()
+  });
+  room.broadcaster = ws;
 
   rooms.set(roomId, room);
+  roomStore.save(toRoomRecord(room));
+  publishCluster('room-created', { record: toRoomRecord(room) });
   clientRooms.set(ws, roomId);
-
-  console.log(`Room created: ${roomId} (${room.name}) - Total rooms: ${rooms.size}`);
+  addParticipant(room, ws, 'broadcaster');
+  announceMember(ws, roomId, 'broadcaster');
+  const session = createSession(ws, roomId, 'broadcaster');
+
+  log.info('room-created', 'Room created', { ...socketContext(ws), name: room.name, totalRooms: rooms.size });
+  audit.record('room-created', {
+    ...socketContext(ws),
+    name: room.name,
+    capacity: room.capacity,
+    visibility: room.visibility,
+    knock: room.knock
+  });
+  webhooks.emit('room-created', {
+    roomId,
+    name: room.name,
+    capacity: room.capacity,
+    visibility: room.visibility,
+    clientId: getClientId(ws)
+  });
+  emitAdminEvent('room-created', room, { clientId: getClientId(ws), role: 'broadcaster' });
   broadcastRoomList();
 
-  return { success: true, roomId, name: room.name, role: 'broadcaster' };
+  return { success: true, roomId, name: room.name, role: 'broadcaster', ownerKey, resumeToken: session.token };
+}
+
+/**
+ * Build a live room from its stored record, with no one in it
+ */
+function buildRoom(record) {
+  return {
+    ...record,
+    visibility: record.visibility || 'public', // public (listed), unlisted (not listed) or private (invite only)
+    knock: Boolean(record.knock), // Viewers wait for the broadcaster's approval
+    locked: Boolean(record.locked), // New joins are refused; participants stay
+    bans: record.bans || [], // Viewers banned by the broadcaster, [{ clientId, browserId, bannedAt }]
+    invites: record.invites || [], // Stored with the room, [{ id, role, uses, maxUses, createdAt, expiresAt }]
+    broadcaster: null,
+    knocks: new Map(), // Viewers waiting on this instance: Map<clientId, Knock>
+    viewers: new Map(), // Map<clientId, WebSocket>
+    participants: new Map(), // Map<clientId, { clientId, role, displayName, joinedAt, lastSeen }>
+    streamingSince: null, // Set while the broadcaster is sharing their screen
+    cleanupTimer: null
+  };
+}
+
+/**
+ * Pick the fields of a room that are persisted
+ */
+function toRoomRecord(room) {
+  const { id, name, keySalt, keyHash, ownerKeyHash, capacity, visibility, knock, locked, createdAt, invites, bans } = room;
+  return { id, name, keySalt, keyHash, ownerKeyHash, capacity, visibility, knock, locked, createdAt, invites, bans };
+}
+
+/**
+ * Store a changed room and share the change with other instances
+ */
+function saveRoom(room) {
+  const record = toRoomRecord(room);
+  roomStore.save(record);
+  publishCluster('room-updated', { record });
+}
+
+/**
+ * Restore stored rooms as empty rooms; they are cleaned up like any other
+ * empty room unless someone joins within the cleanup timeout
+ */
+async function restoreRooms() {
+  for (const record of await roomStore.load()) {
+    const room = buildRoom(record);
+    rooms.set(room.id, room);
+    scheduleRoomCleanup(room);
+  }
+  if (rooms.size > 0) {
+    log.info('rooms-restored', 'Restored rooms from the room store', { totalRooms: rooms.size });
+  }
 }
 
 /**
- * Join an existing room
+ * Refuse a join while the client or room is locked out after failed attempts
  */
-function joinRoom(ws, roomId, key) {
+function refuseLockedOut(ws, roomId, lockout) {
+  const retryAfter = Math.ceil(lockout / 1000);
+  audit.record('key-attempt-blocked', { ...socketContext(ws), roomId, retryAfter });
+  return {
+    error: 'TOO_MANY_ATTEMPTS',
+    message: `Too many failed attempts. Try again in ${retryAfter}s.`,
+    retryAfter
+  };
+}
+
+/**
+ * Join an existing room with its key or an invite token
+ * In knock mode, viewers are queued for the broadcaster's approval instead ({ pending: true })
+ */
+async function joinRoom(ws, roomId, key, inviteToken, displayName) {
   // Check if client is already in a room
-  if (clientRooms.has(ws)) {
+  if (clientRooms.has(ws) || clientKnocks.has(ws) || joiningClients.has(ws)) {
     return { error: 'ALREADY_IN_ROOM', message: 'You are already in a room. Leave first.' };
   }
 
@@ -137,20 +643,118 @@ function joinRoom(ws, roomId, key) {
     return { error: 'ROOM_NOT_FOUND', message: 'Room does not exist.' };
   }
 
-  if (!validateKey(key, room.keyHash)) {
-    return { error: 'INVALID_KEY', message: 'Incorrect room key.' };
+  const earlyLockout = getLockoutRemaining(ws);
+  if (earlyLockout > 0) {
+    return refuseLockedOut(ws, roomId, earlyLockout);
+  }
+
+  // Find which key was given; the owner key is checked even during a room-wide lockout,
+  // which anyone can run up with wrong keys (the generated owner key is far too long to guess)
+  let keyRole = null;
+  if (!inviteToken) {
+    joiningClients.add(ws);
+    try {
+      if (await validateKey(key, room.keySalt, room.ownerKeyHash)) {
+        keyRole = 'broadcaster';
+      } else if (getLockoutRemaining(ws, roomId) === 0 && await validateKey(key, room.keySalt, room.keyHash)) {
+        keyRole = 'viewer';
+      }
+    } finally {
+      joiningClients.delete(ws);
+    }
+
+    // The room may have closed, or the client gone, while the key was hashed
+    if (rooms.get(roomId) !== room) {
+      return { error: 'ROOM_NOT_FOUND', message: 'Room does not exist.' };
+    }
+    if (ws.readyState !== 1) {
+      return { error: 'DISCONNECTED', message: 'The connection closed before the join finished.' };
+    }
+  }
+
+  // Checked again since failures may have been recorded while the key was hashed
+  const lockout = getLockoutRemaining(ws);
+  if (lockout > 0) {
+    return refuseLockedOut(ws, roomId, lockout);
   }
+  const roomLockout = getLockoutRemaining(ws, roomId);
 
-  // Determine role
+  // Determine role from the credential: only the owner key can claim the broadcaster slot
   let role;
-  if (!room.broadcaster) {
-    room.broadcaster = ws;
+  let invite = null;
+  if (keyRole === 'broadcaster') {
     role = 'broadcaster';
-  } else if (!room.viewer) {
-    room.viewer = ws;
+
+    // The owner may take over a slot that is only held for a dropped session
+    if (room.broadcaster && isSuspended(room.broadcaster)) {
+      leaveRoom(room.broadcaster);
+    }
+  } else if (roomLockout > 0) {
+    return refuseLockedOut(ws, roomId, roomLockout);
+  } else if (inviteToken) {
+    const check = checkInvite(room, inviteSecret, inviteToken);
+    if (check.error) {
+      if (check.error === 'INVALID_INVITE') {
+        recordFailedAttempt(ws, roomId);
+      }
+      audit.record('invite-rejected', { ...socketContext(ws), roomId, code: check.error });
+      return check;
+    }
+    invite = check.invite;
+    role = 'viewer';
+  } else if (room.visibility === 'private') {
+    // Private rooms only let viewers in through invites; only a wrong key counts as a failed attempt
+    if (keyRole !== 'viewer') {
+      recordFailedAttempt(ws, roomId);
+      audit.record('key-attempt-failed', { ...socketContext(ws), roomId });
+    }
+    return { error: 'INVITE_ONLY', message: 'This room is invite-only. Ask the broadcaster for an invite link.' };
+  } else if (keyRole === 'viewer') {
     role = 'viewer';
   } else {
-    return { error: 'ROOM_FULL', message: 'Room already has 2 participants.' };
+    recordFailedAttempt(ws, roomId);
+    audit.record('key-attempt-failed', { ...socketContext(ws), roomId });
+    return { error: 'INVALID_KEY', message: 'Incorrect room key.' };
+  }
+
+  if (role === 'broadcaster' && room.broadcaster) {
+    return { error: 'BROADCASTER_ACTIVE', message: 'The broadcaster is already connected to this room.' };
+  }
+  if (role === 'viewer' && room.viewers.size >= room.capacity) {
+    return { error: 'ROOM_FULL', message: `Room already has ${room.capacity} viewers.` };
+  }
+  // Bans and the lock only keep out viewers, so the owner can always get back in
+  if (role === 'viewer' && isBanned(room, ws)) {
+    audit.record('join-refused', { ...socketContext(ws), roomId, code: 'BANNED' });
+    return { error: 'BANNED', message: 'You were banned from this room.' };
+  }
+  if (role === 'viewer' && room.locked) {
+    audit.record('join-refused', { ...socketContext(ws), roomId, code: 'ROOM_LOCKED' });
+    return { error: 'ROOM_LOCKED', message: 'The broadcaster has locked this room. No one else can join right now.' };
+  }
+
+  clearFailedAttempts(ws);
+
+  if (role === 'viewer' && room.knock) {
+    return addKnock(ws, room, displayName, inviteToken);
+  }
+  return admitParticipant(ws, room, role, invite, displayName);
+}
+
+/**
+ * Give a socket whose credential was accepted its slot in a room
+ */
+function admitParticipant(ws, room, role, invite, displayName) {
+  const roomId = room.id;
+  if (role === 'broadcaster') {
+    room.broadcaster = ws;
+  } else {
+    room.viewers.set(getClientId(ws), ws);
+  }
+
+  if (invite) {
+    invite.uses++;
+    saveRoom(room);
   }
 
   // Clear cleanup timer if exists
@@ -159,106 +763,950 @@ function joinRoom(ws, roomId, key) {
     room.cleanupTimer = null;
   }
 
-  clientRooms.set(ws, roomId);
-  console.log(`Client joined room ${roomId} as ${role}`);
+  clientRooms.set(ws, roomId);
+  addParticipant(room, ws, role, (displayName || '').trim() || null);
+  // Announced before the notifications below so other instances know the peer they are about to address
+  announceMember(ws, roomId, role);
+  const session = createSession(ws, roomId, role);
+  log.info('participant-joined', 'Client joined room', { ...socketContext(ws), role });
+  audit.record('participant-joined', { ...socketContext(ws), role, inviteId: invite ? invite.id : undefined });
+  if (role === 'viewer') {
+    webhooks.emit('viewer-joined', { roomId, clientId: getClientId(ws), viewers: room.viewers.size });
+  }
+  emitAdminEvent('participant-joined', room, { clientId: getClientId(ws), role });
+  broadcastRoomList();
+
+  // Viewers ask for the stream with viewer-join once their page is up, which is what tells the
+  // broadcaster; a socket that only joined from the lobby never gets an offer it can't answer
+  if (role === 'broadcaster') {
+    // Broadcaster reconnected, notify viewers
+    sendToViewers(room, { type: 'broadcaster-available' });
+    sendKnocks(room);
+  }
+
+  return { success: true, roomId, name: room.name, role, locked: room.locked, resumeToken: session.token };
+}
+
+/**
+ * Tell a client it is in the room
+ */
+function sendRoomJoined(ws, result) {
+  sendTo(ws, {
+    type: 'room-joined',
+    roomId: result.roomId,
+    name: result.name,
+    role: result.role,
+    clientId: getClientId(ws),
+    locked: result.locked,
+    resumeToken: result.resumeToken,
+    resumed: Boolean(result.resumed)
+  });
+}
+
+/**
+ * Leave current room
+ */
+function leaveRoom(ws) {
+  withdrawKnock(ws);
+
+  const roomId = clientRooms.get(ws);
+  if (!roomId) return;
+
+  endSession(ws);
+
+  const room = rooms.get(roomId);
+  if (!room) {
+    clientRooms.delete(ws);
+    return;
+  }
+
+  let wasBroadcaster = false;
+
+  if (room.broadcaster === ws) {
+    room.broadcaster = null;
+    room.streamingSince = null;
+    wasBroadcaster = true;
+    log.info('participant-left', 'Broadcaster left room', { ...socketContext(ws), role: 'broadcaster' });
+
+    // Notify viewers
+    sendToViewers(room, { type: 'broadcaster-left' });
+  } else if (room.viewers.get(getClientId(ws)) === ws) {
+    room.viewers.delete(getClientId(ws));
+    log.info('participant-left', 'Viewer left room', { ...socketContext(ws), role: 'viewer', viewers: room.viewers.size });
+    webhooks.emit('viewer-left', { roomId, clientId: getClientId(ws), viewers: room.viewers.size });
+
+    // Notify broadcaster
+    sendTo(room.broadcaster, {
+      type: 'viewer-left',
+      viewerId: getClientId(ws)
+    });
+  }
+
+  room.participants.delete(getClientId(ws));
+  publishCluster('member-left', { roomId, clientId: getClientId(ws) });
+  audit.record('participant-left', { ...socketContext(ws), role: wasBroadcaster ? 'broadcaster' : 'viewer' });
+  clientRooms.delete(ws);
+  emitAdminEvent('participant-left', room, {
+    clientId: getClientId(ws),
+    role: wasBroadcaster ? 'broadcaster' : 'viewer'
+  });
+
+  // Schedule cleanup if room is empty
+  if (!room.broadcaster && room.viewers.size === 0) {
+    scheduleRoomCleanup(room);
+  }
+
+  broadcastRoomList();
+}
+
+/**
+ * Delete an empty room once the cleanup timeout passes, unless someone joins first
+ */
+function scheduleRoomCleanup(room) {
+  clearTimeout(room.cleanupTimer);
+  room.cleanupTimer = setTimeout(() => {
+    if (!room.broadcaster && room.viewers.size === 0) {
+      deleteRoom(room.id);
+      log.info('room-deleted', 'Empty room cleaned up', { roomId: room.id, totalRooms: rooms.size });
+      audit.record('room-deleted', { roomId: room.id, reason: 'empty', lifetime: Date.now() - room.createdAt });
+      webhooks.emit('room-deleted', { roomId: room.id, reason: 'empty', lifetime: Date.now() - room.createdAt });
+    }
+  }, config.roomCleanupTimeout);
+}
+
+/**
+ * Delete a room everywhere: here, in the room store and on other instances
+ */
+function deleteRoom(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return;
+
+  removeRoom(room);
+  roomStore.remove(roomId);
+  roomLifetimes.observe((Date.now() - room.createdAt) / 1000);
+  publishCluster('room-deleted', { roomId });
+}
+
+/**
+ * Remove a room and its bookkeeping from this instance
+ */
+function removeRoom(room) {
+  for (const knock of [...room.knocks.values()]) {
+    endKnock(room, knock, 'ROOM_CLOSED', 'The room was closed.');
+  }
+
+  // Participants on other instances are removed there
+  for (const clientId of room.participants.keys()) {
+    const peer = remotePeers.get(clientId);
+    if (peer) {
+      remotePeers.delete(clientId);
+      clientRooms.delete(peer);
+    }
+  }
+
+  clearTimeout(room.cleanupTimer);
+  rooms.delete(room.id);
+  keyAttempts.clearRoom(room.id);
+  emitAdminEvent('room-deleted', room);
+  broadcastRoomList();
+}
+
+/**
+ * Get list of active rooms (without sensitive data)
+ */
+function getRoomList(ws) {
+  const ownRoomId = ws ? clientRooms.get(ws) : null;
+  const list = [];
+  for (const [id, room] of rooms) {
+    // Unlisted and private rooms are only listed for their own participants
+    if (room.visibility !== 'public' && id !== ownRoomId) continue;
+
+    const participants = (room.broadcaster ? 1 : 0) + room.viewers.size;
+    list.push({
+      id,
+      name: room.name,
+      participants,
+      capacity: room.capacity + 1, // Viewers plus the broadcaster
+      isFull: room.viewers.size >= room.capacity,
+      visibility: room.visibility
+    });
+  }
+  return list;
+}
+
+/**
+ * Broadcast room list to all connected clients
+ * Bursts of room changes are coalesced into a single broadcast
+ */
+function broadcastRoomList() {
+  if (roomListTimer) return;
+
+  roomListTimer = setTimeout(() => {
+    roomListTimer = null;
+    sendRoomListToAll();
+  }, ROOM_LIST_DEBOUNCE);
+}
+
+/**
+ * Build the room-list message for a socket (or for a socket in no hidden room)
+ * `totalRooms` counts hidden rooms too, since they count against maxRooms
+ */
+function getRoomListMessage(ws) {
+  return JSON.stringify({ type: 'room-list', rooms: getRoomList(ws), totalRooms: rooms.size });
+}
+
+/**
+ * Send the current room list to every open socket
+ */
+function sendRoomListToAll() {
+  const publicMessage = getRoomListMessage();
+
+  wss.clients.forEach(client => {
+    if (client.readyState !== 1) return; // WebSocket.OPEN
+
+    // Participants of a hidden room also see their own room
+    const room = rooms.get(clientRooms.get(client));
+    if (room && room.visibility !== 'public') {
+      client.send(getRoomListMessage(client));
+    } else {
+      client.send(publicMessage);
+    }
+  });
+}
+
+// ============================================
+// Waiting Room
+// ============================================
+//
+// In knock mode a viewer's accepted key or invite puts them in the room's
+// waiting list rather than the room. The broadcaster approves or denies each
+// knock; until then the viewer has no slot, so no viewer-joined and no WebRTC.
+// Knocks live on the instance the viewer is connected to.
+
+/**
+ * Queue a viewer for the broadcaster's approval
+ * The invite token is checked again on approval, since its uses may run out meanwhile
+ */
+function addKnock(ws, room, displayName, inviteToken) {
+  const clientId = getClientId(ws);
+  const knock = {
+    ws,
+    clientId,
+    displayName: (displayName || '').trim() || 'Guest',
+    inviteToken: inviteToken || null,
+    requestedAt: Date.now(),
+    timer: null
+  };
+  knock.timer = setTimeout(() => {
+    endKnock(room, knock, 'KNOCK_TIMEOUT', 'The broadcaster did not let you in. Try again later.');
+    audit.record('knock-timed-out', { clientId, roomId: room.id, ip: clientIps.get(ws) });
+  }, config.knockTimeout);
+
+  room.knocks.set(clientId, knock);
+  clientKnocks.set(ws, room.id);
+  sendTo(room.broadcaster, describeKnock(knock));
+
+  log.info('knock-requested', 'Viewer is waiting for approval', { clientId, roomId: room.id, ip: clientIps.get(ws) });
+  audit.record('knock-requested', { clientId, roomId: room.id, ip: clientIps.get(ws) });
+  return { pending: true, roomId: room.id, name: room.name };
+}
+
+/**
+ * The knock-request message the broadcaster sees for a waiting viewer
+ */
+function describeKnock(knock) {
+  return { type: 'knock-request', requestId: knock.clientId, displayName: knock.displayName, requestedAt: knock.requestedAt };
+}
+
+/**
+ * Send the broadcaster every viewer waiting on this instance, e.g. after they (re)join
+ */
+function sendKnocks(room) {
+  for (const knock of room.knocks.values()) {
+    sendTo(room.broadcaster, describeKnock(knock));
+  }
+}
+
+/**
+ * Take a viewer off the waiting list and tell the broadcaster
+ * With an error code, the viewer is told why they were not let in
+ */
+function endKnock(room, knock, code, message) {
+  clearTimeout(knock.timer);
+  room.knocks.delete(knock.clientId);
+  clientKnocks.delete(knock.ws);
+  sendTo(room.broadcaster, { type: 'knock-cancelled', requestId: knock.clientId });
+
+  if (code) {
+    sendRoomError(knock.ws, code, message);
+  }
+}
+
+/**
+ * Drop a socket's knock when it leaves or disconnects
+ */
+function withdrawKnock(ws) {
+  const room = rooms.get(clientKnocks.get(ws));
+  clientKnocks.delete(ws);
+  if (!room) return;
+
+  const knock = room.knocks.get(getClientId(ws));
+  if (knock) {
+    endKnock(room, knock);
+  }
+}
+
+/**
+ * Approve or deny a waiting viewer
+ * Returns false if the knock isn't waiting on this instance
+ */
+function answerKnock(room, requestId, approved) {
+  const knock = room.knocks.get(requestId);
+  if (!knock) return false;
+
+  const { ws, clientId } = knock;
+  if (!approved) {
+    endKnock(room, knock, 'KNOCK_DENIED', 'The broadcaster declined your request to join.');
+    log.info('knock-denied', 'Viewer was not let in', { clientId, roomId: room.id, ip: clientIps.get(ws) });
+    audit.record('knock-denied', { clientId, roomId: room.id, ip: clientIps.get(ws) });
+    return true;
+  }
+
+  endKnock(room, knock);
+
+  // The room or the invite may have filled up while the viewer waited
+  let invite = null;
+  if (knock.inviteToken) {
+    const check = checkInvite(room, inviteSecret, knock.inviteToken);
+    if (check.error) {
+      sendRoomError(ws, check.error, check.message);
+      return true;
+    }
+    invite = check.invite;
+  }
+  if (room.viewers.size >= room.capacity) {
+    sendRoomError(ws, 'ROOM_FULL', `Room already has ${room.capacity} viewers.`);
+    return true;
+  }
+
+  sendRoomJoined(ws, admitParticipant(ws, room, 'viewer', invite, knock.displayName));
+  return true;
+}
+
+// ============================================
+// Moderation
+// ============================================
+//
+// The broadcaster can remove viewers, ban them for the rest of the room's
+// lifetime, lock the room against new joins and change the viewer key, all
+// without disturbing anyone else. Bans and the lock are stored with the room.
+// A ban applies to the browser ID the room page sends with join-room and to
+// the banned client ID, which a resumed session keeps, so a banned viewer can't
+// come back with the key they already have. Addresses are never banned: one
+// office, VPN or proxy can hold many viewers. Bans only ever stop viewers: the
+// owner key gets in from a banned browser.
+
+/**
+ * Check whether a socket was banned from a room
+ */
+function isBanned(room, ws) {
+  const browserId = clientBrowsers.get(ws);
+  const clientId = getClientId(ws);
+  return room.bans.some(ban => ban.clientId === clientId || (ban.browserId && ban.browserId === browserId));
+}
+
+/**
+ * List a room's participants for its broadcaster
+ */
+function listParticipants(room) {
+  return [...room.participants.values()].map(({ clientId, role, displayName, joinedAt }) => ({
+    clientId,
+    role,
+    displayName,
+    joinedAt
+  }));
+}
+
+/**
+ * Ban a viewer from a room and remove them
+ * Returns false if the client isn't a viewer of the room
+ */
+function banParticipant(room, clientId) {
+  const ws = room.viewers.get(clientId);
+  if (!ws) return false;
+
+  // Only the instance holding the socket knows its browser ID
+  if (ws.remote) {
+    adapter.publish(`instance:${ws.instanceId}`, { kind: 'ban', from: adapter.instanceId, roomId: room.id, clientId });
+    return true;
+  }
+
+  const browserId = clientBrowsers.get(ws) || null;
+  room.bans.push({ clientId, browserId, bannedAt: Date.now() });
+  saveRoom(room);
+
+  sendRoomError(ws, 'BANNED', 'You were banned from this room by the broadcaster.');
+  leaveRoom(ws);
+  log.info('participant-banned', 'Viewer banned from room', { clientId, roomId: room.id, ip: clientIps.get(ws) });
+  audit.record('participant-banned', { clientId, roomId: room.id, ip: clientIps.get(ws) });
+  return true;
+}
+
+/**
+ * Lock or unlock a room; participants already in it are not affected
+ */
+function setRoomLock(room, locked) {
+  if (room.locked === locked) return;
+
+  room.locked = locked;
+  saveRoom(room);
+  log.info(locked ? 'room-locked' : 'room-unlocked', locked ? 'Room locked' : 'Room unlocked', { roomId: room.id });
+  audit.record(locked ? 'room-locked' : 'room-unlocked', { roomId: room.id });
+  emitAdminEvent(locked ? 'room-locked' : 'room-unlocked', room);
+}
+
+/**
+ * Store a new viewer key for a room
+ * Returns false if the room was closed while the key was hashed
+ */
+async function setRoomKey(room, key) {
+  const keyHash = await hashKey(key, room.keySalt);
+  if (rooms.get(room.id) !== room) return false;
+
+  room.keyHash = keyHash;
+  saveRoom(room);
+  keyAttempts.clearRoom(room.id);
+  return true;
+}
+
+// ============================================
+// Admin Actions
+// ============================================
+
+/**
+ * Find the socket holding a participant's slot in a room
+ */
+function findParticipantSocket(room, clientId) {
+  if (room.broadcaster && getClientId(room.broadcaster) === clientId) {
+    return room.broadcaster;
+  }
+  return room.viewers.get(clientId) || null;
+}
+
+/**
+ * Get a room with its participants for administrators
+ */
+function getRoomDetails(room) {
+  return {
+    id: room.id,
+    name: room.name,
+    createdAt: room.createdAt,
+    capacity: room.capacity,
+    visibility: room.visibility,
+    knock: room.knock,
+    locked: room.locked,
+    streaming: room.streamingSince !== null,
+    streamingSince: room.streamingSince,
+    participants: [...room.participants.values()].map(participant => ({
+      ...participant,
+      suspended: isSuspended(findParticipantSocket(room, participant.clientId))
+    }))
+  };
+}
+
+/**
+ * Send a room event to every admin dashboard
+ * The room's current details ride along so the dashboard never has to refetch
+ */
+function emitAdminEvent(event, room, data = {}) {
+  if (adminSubscribers.size === 0 || !room) return;
+
+  const deleted = !rooms.has(room.id);
+  sendToAdmins({
+    type: 'admin-event',
+    event,
+    roomId: room.id,
+    ...data,
+    room: deleted ? null : getRoomDetails(room),
+    timestamp: Date.now()
+  });
+}
+
+/**
+ * Send a message to every admin dashboard
+ */
+function sendToAdmins(message) {
+  const data = JSON.stringify(message);
+  for (const ws of adminSubscribers) {
+    if (ws.readyState === 1) {
+      ws.send(data);
+    }
+  }
+}
+
+/**
+ * Force-close a room, sending every participant back to the lobby
+ */
+function closeRoom(roomId) {
+  const room = rooms.get(roomId);
+  if (!room) return false;
+
+  // Other instances close the room for their own participants when it is deleted
+  for (const ws of getLocalParticipants(room)) {
+    sendRoomError(ws, 'ROOM_CLOSED', 'This room was closed by an administrator.');
+    leaveRoom(ws);
+  }
+
+  deleteRoom(roomId);
+  log.info('room-closed', 'Room closed by admin', { roomId, totalRooms: rooms.size });
+  audit.record('room-deleted', { roomId, reason: 'closed-by-admin', lifetime: Date.now() - room.createdAt });
+  webhooks.emit('room-deleted', { roomId, reason: 'closed-by-admin', lifetime: Date.now() - room.createdAt });
+  return true;
+}
+
+/**
+ * Remove a client from its room
+ * `by` is who asked: 'admin', or 'broadcaster' for a room's own moderation
+ */
+function kickClient(clientId, reason, by = 'admin') {
+  for (const room of rooms.values()) {
+    const ws = findParticipantSocket(room, clientId);
+    if (!ws) continue;
+
+    // Only the instance holding the socket can remove it
+    if (ws.remote) {
+      adapter.publish(`instance:${ws.instanceId}`, { kind: 'kick', from: adapter.instanceId, clientId, reason, by });
+      return true;
+    }
+
+    sendRoomError(ws, 'KICKED', reason || `You were removed from the room by ${by === 'admin' ? 'an administrator' : 'the broadcaster'}.`);
+    leaveRoom(ws);
+    log.info('client-kicked', `Client kicked by ${by}`, { clientId, roomId: room.id, ip: clientIps.get(ws) });
+    audit.record('client-kicked', { clientId, roomId: room.id, ip: clientIps.get(ws), reason, by });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Replace a room's viewer key; current participants stay connected
+ * Returns the new key, or null if the room doesn't exist
+ */
+async function rotateRoomKey(roomId, key) {
+  const room = rooms.get(roomId);
+  if (!room) return null;
+
+  const newKey = key || crypto.randomBytes(6).toString('hex');
+  if (!(await setRoomKey(room, newKey))) return null;
+
+  sendTo(room.broadcaster, {
+    type: 'system-notice',
+    message: 'The room key was changed by an administrator.',
+    timestamp: Date.now()
+  });
+  log.info('room-key-rotated', 'Viewer key rotated by admin', { roomId });
+  audit.record('room-key-rotated', { roomId, by: 'admin' });
+  return newKey;
+}
+
+/**
+ * Send a system notice to one room, or to every connected client
+ * Returns the number of recipients, or null if the room doesn't exist
+ */
+function sendNotice(message, roomId) {
+  const notice = { type: 'system-notice', message, timestamp: Date.now() };
+
+  if (roomId) {
+    const room = rooms.get(roomId);
+    if (!room) return null;
+
+    sendTo(room.broadcaster, notice);
+    sendToViewers(room, notice);
+    return (room.broadcaster ? 1 : 0) + room.viewers.size;
+  }
+
+  let recipients = 0;
+  wss.clients.forEach(client => {
+    if (client.readyState === 1) {
+      client.send(JSON.stringify(notice));
+      recipients++;
+    }
+  });
+  return recipients;
+}
+
+const handleAdminRequest = createAdminApi(config, {
+  listRooms: () => [...rooms.values()].map(getRoomDetails),
+  getRoom: roomId => (rooms.has(roomId) ? getRoomDetails(rooms.get(roomId)) : null),
+  closeRoom,
+  kickClient,
+  rotateRoomKey,
+  sendNotice,
+  queryAudit: ({ roomId, from, to, limit }) => (config.auditLogDir
+    ? queryAuditLog(config.auditLogDir, {
+      roomId,
+      from: parseTime(from),
+      to: parseTime(to),
+      limit: Math.min(parseInt(limit, 10) || 1000, 10000)
+    })
+    : null)
+});
+
+// ============================================
+// Cluster
+// ============================================
+//
+// Every instance keeps a full copy of each room. Participants connected to
+// another instance appear as remote peers: stand-ins that forward whatever is
+// sent to them to the owning instance, so signaling and chat reach them through
+// the same sendTo()/sendToViewers() calls as local sockets.
+//
+// Channels:
+//   cluster               room and membership changes, heartbeats
+//   instance:<id>         messages for sockets held by one instance
+
+/**
+ * Publish a room or membership change to the other instances
+ */
+function publishCluster(kind, data = {}) {
+  adapter.publish('cluster', { kind, from: adapter.instanceId, ...data });
+}
+
+/**
+ * Tell the other instances that a local socket took a room slot
+ */
+function announceMember(ws, roomId, role) {
+  const { displayName } = rooms.get(roomId).participants.get(getClientId(ws));
+  publishCluster('member-joined', { roomId, clientId: getClientId(ws), role, displayName });
+}
+
+/**
+ * Create a stand-in for a participant connected to another instance
+ */
+function createRemotePeer(instanceId, clientId) {
+  return {
+    remote: true,
+    instanceId,
+    readyState: 1, // Always looks open; the owning instance drops messages for closed sockets
+    send(data) {
+      adapter.publish(`instance:${instanceId}`, { kind: 'deliver', from: adapter.instanceId, to: clientId, data });
+    }
+  };
+}
+
+/**
+ * Get the sockets in a room that are connected to this instance
+ */
+function getLocalParticipants(room) {
+  return [room.broadcaster, ...room.viewers.values()].filter(ws => ws && !ws.remote);
+}
+
+/**
+ * Add a participant that joined through another instance
+ */
+function addRemoteMember(instanceId, roomId, clientId, role, displayName) {
+  const room = rooms.get(roomId);
+  if (!room || remotePeers.has(clientId)) return;
+  if (role === 'broadcaster' && room.broadcaster) return;
+
+  const peer = createRemotePeer(instanceId, clientId);
+  remotePeers.set(clientId, peer);
+  clientIds.set(peer, clientId);
+  clientRooms.set(peer, roomId);
+
+  if (role === 'broadcaster') {
+    room.broadcaster = peer;
+    sendKnocks(room);
+  } else {
+    room.viewers.set(clientId, peer);
+  }
+  addParticipant(room, peer, role, displayName || null);
+
+  clearTimeout(room.cleanupTimer);
+  room.cleanupTimer = null;
+
+  emitAdminEvent('participant-joined', room, { clientId, role });
+  broadcastRoomList();
+}
+
+/**
+ * Remove a participant connected to another instance
+ * `notify` tells local participants about the departure, for when the owning
+ * instance is gone and can't do it itself
+ */
+function removeRemoteMember(clientId, notify = false) {
+  const peer = remotePeers.get(clientId);
+  if (!peer) return;
+
+  remotePeers.delete(clientId);
+  const room = rooms.get(clientRooms.get(peer));
+  clientRooms.delete(peer);
+  if (!room) return;
+
+  const role = room.broadcaster === peer ? 'broadcaster' : 'viewer';
+  if (role === 'broadcaster') {
+    room.broadcaster = null;
+    room.streamingSince = null;
+  } else {
+    room.viewers.delete(clientId);
+  }
+  room.participants.delete(clientId);
+
+  if (notify) {
+    for (const ws of getLocalParticipants(room)) {
+      sendTo(ws, role === 'broadcaster' ? { type: 'broadcaster-left' } : { type: 'viewer-left', viewerId: clientId });
+    }
+  }
+
+  emitAdminEvent('participant-left', room, { clientId, role });
+  if (!room.broadcaster && room.viewers.size === 0) {
+    scheduleRoomCleanup(room);
+  }
   broadcastRoomList();
+}
 
-  // Notify the other participant
-  if (role === 'viewer' && room.broadcaster) {
-    room.broadcaster.send(JSON.stringify({
-      type: 'viewer-joined',
-      viewerId: getClientId(ws)
-    }));
-  } else if (role === 'broadcaster' && room.viewer) {
-    // Broadcaster reconnected, notify viewer
-    room.viewer.send(JSON.stringify({ type: 'broadcaster-available' }));
+/**
+ * Re-announce this instance's participants, for an instance that just started or reconnected
+ */
+function announceLocalMembers() {
+  for (const room of rooms.values()) {
+    for (const ws of getLocalParticipants(room)) {
+      announceMember(ws, room.id, ws === room.broadcaster ? 'broadcaster' : 'viewer');
+    }
+    if (room.broadcaster && !room.broadcaster.remote && room.streamingSince !== null) {
+      publishCluster('streaming', { roomId: room.id, since: room.streamingSince });
+    }
   }
+}
+
+/**
+ * Republish this instance's rooms and participants after the adapter reconnected,
+ * since changes published while it was disconnected never arrived
+ */
+function resyncCluster() {
+  for (const room of rooms.values()) {
+    if (getLocalParticipants(room).length === 0) continue;
 
-  return { success: true, roomId, name: room.name, role };
+    const record = toRoomRecord(room);
+    roomStore.save(record);
+    publishCluster('room-synced', { record });
+  }
+  announceLocalMembers();
+  publishCluster('sync-request');
 }
 
 /**
- * Leave current room
+ * Take over the stored fields of a room changed on another instance
  */
-function leaveRoom(ws) {
-  const roomId = clientRooms.get(ws);
-  if (!roomId) return;
+function applyRoomRecord(room, record) {
+  // A new key starts a fresh count of failed attempts
+  if (room.keyHash !== record.keyHash) {
+    keyAttempts.clearRoom(room.id);
+  }
+  Object.assign(room, record);
+}
 
-  const room = rooms.get(roomId);
-  if (!room) {
-    clientRooms.delete(ws);
-    return;
+/**
+ * Drop the participants of instances that stopped sending heartbeats
+ */
+function pruneSilentInstances() {
+  const now = Date.now();
+  for (const [instanceId, lastSeen] of instanceLastSeen) {
+    if (now - lastSeen <= CLUSTER_INSTANCE_TIMEOUT) continue;
+
+    instanceLastSeen.delete(instanceId);
+    const lost = [...remotePeers.entries()].filter(([, peer]) => peer.instanceId === instanceId);
+    for (const [clientId] of lost) {
+      removeRemoteMember(clientId, true);
+    }
+    log.warn('instance-lost', 'Instance stopped responding, dropped its participants', { instanceId, participants: lost.length });
   }
+}
 
-  let wasBroadcaster = false;
+/**
+ * Apply a change published by another instance
+ */
+function handleClusterMessage(message) {
+  if (message.from === adapter.instanceId) return;
+  instanceLastSeen.set(message.from, Date.now());
 
-  if (room.broadcaster === ws) {
-    room.broadcaster = null;
-    wasBroadcaster = true;
-    console.log(`Broadcaster left room ${roomId}`);
+  switch (message.kind) {
+    case 'sync-request':
+      announceLocalMembers();
+      break;
+
+    // Sent after a reconnect: the room may have been created or changed while we weren't listening
+    case 'room-synced':
+    case 'room-created': {
+      if (rooms.has(message.record.id)) {
+        if (message.kind === 'room-synced') {
+          applyRoomRecord(rooms.get(message.record.id), message.record);
+        }
+        break;
+      }
 
-    // Notify viewer
-    if (room.viewer) {
-      room.viewer.send(JSON.stringify({ type: 'broadcaster-left' }));
+      const room = buildRoom(message.record);
+      rooms.set(room.id, room);
+      scheduleRoomCleanup(room); // Cancelled when the creator's member-joined arrives
+      emitAdminEvent('room-created', room);
+      broadcastRoomList();
+      break;
     }
-  } else if (room.viewer === ws) {
-    room.viewer = null;
-    console.log(`Viewer left room ${roomId}`);
 
-    // Notify broadcaster
-    if (room.broadcaster) {
-      room.broadcaster.send(JSON.stringify({
-        type: 'viewer-left',
-        viewerId: getClientId(ws)
-      }));
+    case 'room-updated': {
+      const room = rooms.get(message.record.id);
+      if (room) {
+        applyRoomRecord(room, message.record);
+      }
+      break;
     }
-  }
 
-  clientRooms.delete(ws);
+    case 'knock-answered': {
+      const room = rooms.get(message.roomId);
+      if (room) {
+        answerKnock(room, message.requestId, message.approved);
+      }
+      break;
+    }
 
-  // Schedule cleanup if room is empty
-  if (!room.broadcaster && !room.viewer) {
-    room.cleanupTimer = setTimeout(() => {
-      if (!room.broadcaster && !room.viewer) {
-        rooms.delete(roomId);
-        console.log(`Room ${roomId} cleaned up - Total rooms: ${rooms.size}`);
-        broadcastRoomList();
+    case 'room-deleted': {
+      const room = rooms.get(message.roomId);
+      if (!room) break;
+
+      for (const ws of getLocalParticipants(room)) {
+        sendRoomError(ws, 'ROOM_CLOSED', 'This room was closed.');
+        leaveRoom(ws);
       }
-    }, ROOM_CLEANUP_TIMEOUT);
-  }
+      removeRoom(room);
+      break;
+    }
 
-  broadcastRoomList();
+    case 'member-joined':
+      addRemoteMember(message.from, message.roomId, message.clientId, message.role, message.displayName);
+      break;
+
+    case 'member-left':
+      removeRemoteMember(message.clientId);
+      break;
+
+    case 'streaming': {
+      const room = rooms.get(message.roomId);
+      if (!room || !room.broadcaster || !room.broadcaster.remote) break;
+
+      room.streamingSince = message.since;
+      emitAdminEvent(message.since === null ? 'stream-stopped' : 'stream-started', room, {
+        clientId: getClientId(room.broadcaster),
+        role: 'broadcaster'
+      });
+      break;
+    }
+  }
 }
 
 /**
- * Get list of active rooms (without sensitive data)
+ * Handle a message addressed to this instance
  */
-function getRoomList() {
-  const list = [];
-  for (const [id, room] of rooms) {
-    const participants = (room.broadcaster ? 1 : 0) + (room.viewer ? 1 : 0);
-    list.push({
-      id,
-      name: room.name,
-      participants,
-      isFull: participants >= 2
-    });
+function handleInstanceMessage(message) {
+  switch (message.kind) {
+    case 'deliver': {
+      const ws = localClients.get(message.to);
+      if (ws && ws.readyState === 1) {
+        ws.send(message.data);
+      }
+      break;
+    }
+
+    case 'kick':
+      kickClient(message.clientId, message.reason, message.by);
+      break;
+
+    case 'ban': {
+      const room = rooms.get(message.roomId);
+      if (room) {
+        banParticipant(room, message.clientId);
+      }
+      break;
+    }
   }
-  return list;
 }
 
 /**
- * Broadcast room list to all connected clients
+ * Start exchanging room changes with the other instances
  */
-function broadcastRoomList() {
-  const roomList = getRoomList();
-  const message = JSON.stringify({ type: 'room-list', rooms: roomList });
-
-  wss.clients.forEach(client => {
-    if (client.readyState === 1) { // WebSocket.OPEN
-      client.send(message);
+function joinCluster() {
+  adapter.subscribe('cluster', message => {
+    try {
+      handleClusterMessage(message);
+    } catch (e) {
+      log.error('cluster-message-failed', 'Error handling cluster message', { kind: message.kind, instanceId: message.from, error: e });
     }
   });
+  adapter.subscribe(`instance:${adapter.instanceId}`, handleInstanceMessage);
+
+  // Ask running instances who is already in the restored rooms
+  publishCluster('sync-request');
+  adapter.onReconnect(resyncCluster);
+
+  setInterval(() => {
+    publishCluster('heartbeat');
+    pruneSilentInstances();
+  }, CLUSTER_HEARTBEAT_INTERVAL).unref();
+}
+
+// ============================================
+// Metrics
+// ============================================
+
+const metrics = createRegistry();
+
+metrics.gauge('streamhq_rooms_active', 'Rooms currently open', () => rooms.size);
+metrics.gauge('streamhq_sockets_connected', 'Open WebSocket connections', () => wss.clients.size);
+metrics.gauge('streamhq_participants', 'Room participants on this instance by role, including held sessions', () => {
+  const counts = { broadcaster: 0, viewer: 0 };
+  for (const room of rooms.values()) {
+    for (const participant of room.participants.values()) {
+      // Each instance reports its own connections so cluster-wide sums stay correct
+      if (!remotePeers.has(participant.clientId)) {
+        counts[participant.role]++;
+      }
+    }
+  }
+  return Object.entries(counts).map(([role, value]) => ({ labels: { role }, value }));
+});
+
+const messagesHandled = metrics.counter('streamhq_signaling_messages_total', 'Valid signaling messages handled, by type');
+const roomErrors = metrics.counter('streamhq_room_errors_total', 'room-error replies sent, by code');
+const roomLifetimes = metrics.histogram('streamhq_room_lifetime_seconds', 'Time from room creation to deletion', ROOM_LIFETIME_BUCKETS);
+
+// ============================================
+// Webhooks
+// ============================================
+
+// Room events for external tools, signed and delivered off the message path
+const webhooks = createWebhookDispatcher(loadWebhookSettings(config), config, { log, metrics });
+
+// ============================================
+// Plugins
+// ============================================
+
+// Server functions available to plugins as api.core
+const pluginCore = {
+  metrics,
+  getRoom: ws => rooms.get(clientRooms.get(ws)) || null,
+  getRoomById: roomId => rooms.get(roomId) || null,
+  getClientId,
+  socketContext,
+  sendTo,
+  sendToViewers,
+  setStreaming,
+  emitAdminEvent
+};
+
+// Signaling and chat use the same API as third-party plugins
+plugins.load(require('./plugins/signaling'), pluginCore);
+plugins.load(require('./plugins/chat'), pluginCore);
+if (config.pluginDir) {
+  plugins.loadDirectory(config.pluginDir, pluginCore);
 }
 
 // ============================================
@@ -266,19 +1714,94 @@ function broadcastRoomList() {
 // ============================================
 
 function requestHandler(req, res) {
-  let filePath = req.url === '/' ? '/index.html' : req.url;
+  if (handleAdminRequest(req, res)) return;
 
   // Remove query strings
-  filePath = filePath.split('?')[0];
+  const pathname = req.url.split('?')[0];
+
+  // ICE configuration with fresh TURN credentials, for the same clients the WebSocket lets in
+  if (pathname === '/ice-config') {
+    const reason = verifyUpgrade(req);
+    if (reason) {
+      res.writeHead(403, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+      res.end(JSON.stringify({ error: reason }));
+      return;
+    }
+
+    const iceConfig = buildIceConfig(iceSettings, 'http-' + crypto.randomBytes(4).toString('hex'));
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(iceConfig));
+    return;
+  }
+
+  // Liveness: the process is up and serving requests
+  if (pathname === '/healthz') {
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify({ status: 'ok' }));
+    return;
+  }
+
+  // Readiness: fails while draining so load balancers stop sending new clients
+  if (pathname === '/readyz') {
+    res.writeHead(shuttingDown ? 503 : 200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify({ status: shuttingDown ? 'draining' : 'ready', rooms: rooms.size }));
+    return;
+  }
+
+  // Prometheus scrape endpoint, optionally behind a bearer token
+  if (pathname === '/metrics' && req.method === 'GET') {
+    if (config.metricsToken && !hasBearerToken(req, config.metricsToken)) {
+      res.writeHead(401, { 'Content-Type': 'text/plain' });
+      res.end('Invalid or missing metrics token');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE, 'Cache-Control': 'no-store' });
+    res.end(metrics.render());
+    return;
+  }
+
+  // Explain why a WebSocket upgrade would be refused, since browsers hide the 403 reason from scripts
+  if (pathname === '/ws-auth' && req.method === 'POST') {
+    const reason = verifyUpgrade(req);
+    res.writeHead(reason ? 403 : 200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify({ ok: !reason, reason }));
+    return;
+  }
+
+  if (plugins.handleRequest(req, res)) return;
+
+  let filePath;
+  if (pathname === '/') {
+    filePath = '/index.html';
+  } else if (ROOM_PATH.test(pathname)) {
+    filePath = '/room.html';
+  } else {
+    try {
+      filePath = decodeURIComponent(pathname);
+    } catch (e) {
+      filePath = null;
+    }
+    if (!filePath || filePath.includes('\0')) {
+      res.writeHead(400);
+      res.end('Bad request');
+      return;
+    }
+  }
+  filePath = path.join(PUBLIC_DIR, filePath);
 
-  filePath = path.join(__dirname, '../public', filePath);
+  // Reject paths like /../server/config.js that resolve outside public/
+  if (!filePath.startsWith(PUBLIC_DIR + path.sep)) {
+    res.writeHead(404);
+    res.end('File not found');
+    return;
+  }
 
   const ext = path.extname(filePath);
   const contentType = MIME_TYPES[ext] || 'application/octet-stream';
 
   fs.readFile(filePath, (err, content) => {
     if (err) {
-      if (err.code === 'ENOENT') {
+      if (err.code === 'ENOENT' || err.code === 'EISDIR') {
         res.writeHead(404);
         res.end('File not found');
       } else {
@@ -286,7 +1809,13 @@ function requestHandler(req, res) {
         res.end('Server error');
       }
     } else {
-      res.writeHead(200, { 'Content-Type': contentType });
+      const headers = { 'Content-Type': contentType };
+
+      // A page opened with ?token=... keeps the token in a cookie for the WebSocket upgrade
+      const cookie = getAccessTokenCookie(req, config, useHttps);
+      if (cookie) headers['Set-Cookie'] = cookie;
+
+      res.writeHead(200, headers);
       res.end(content);
     }
   });
@@ -300,43 +1829,193 @@ if (useHttps) {
     cert: fs.readFileSync(path.join(certsPath, 'cert.pem'))
   };
   server = https.createServer(sslOptions, requestHandler);
-  console.log('🔒 HTTPS mode enabled');
+  log.info('https-enabled', 'HTTPS mode enabled', { certsPath });
 } else {
   server = http.createServer(requestHandler);
-  console.log('⚠️  HTTP mode (screen sharing requires HTTPS)');
+  log.warn('https-disabled', 'HTTP mode (screen sharing requires HTTPS)', { certsPath });
 }
 
 // ============================================
 // WebSocket Server
 // ============================================
 
-const wss = new WebSocketServer({ server });
+const wss = new WebSocketServer({
+  server,
+  maxPayload: config.maxPayload,
+  verifyClient: (info, done) => {
+    const reason = verifyUpgrade(info.req);
+    if (reason) {
+      log.warn('upgrade-rejected', 'Rejected WebSocket upgrade', { ip: getRemoteIp(info.req), reason });
+      done(false, 403, reason);
+    } else {
+      done(true);
+    }
+  }
+});
+
+// Logged once: behind an untrusted proxy every client shares the proxy's address and per-IP limits
+let proxyWarningLogged = false;
+
+wss.on('connection', (ws, req) => {
+  const ip = getRemoteIp(req);
+  if (!config.trustProxy && req.headers['x-forwarded-for'] && !proxyWarningLogged) {
+    proxyWarningLogged = true;
+    log.warn('proxy-untrusted', 'Connections come through a proxy but TRUST_PROXY is off, so per-IP limits apply to all clients together', { ip });
+  }
+
+  // Cap concurrent connections per IP
+  const openConnections = ipConnectionCounts.get(ip) || 0;
+  if (openConnections >= config.maxConnectionsPerIp) {
+    log.warn('connection-refused', 'Too many connections from one IP', { ip, openConnections });
+    ws.close(1008, 'Too many connections');
+    return;
+  }
+  ipConnectionCounts.set(ip, openConnections + 1);
+
+  clientIps.set(ws, ip);
+  localClients.set(getClientId(ws), ws);
+  clientLimiters.set(ws, createConnectionLimiter(config));
+  clientAlive.set(ws, true);
 
-wss.on('connection', (ws) => {
-  console.log('New connection:', getClientId(ws));
+  ws.on('pong', () => {
+    clientAlive.set(ws, true);
+    touchParticipant(ws);
+  });
+  log.info('client-connected', 'New connection', socketContext(ws));
 
-  // Send current room list to new client
-  ws.send(JSON.stringify({ type: 'room-list', rooms: getRoomList() }));
+  // Send client-facing limits, ICE configuration and current room list to new client
+  ws.send(JSON.stringify({ type: 'server-config', config: getClientConfig(config) }));
+  ws.send(JSON.stringify({ type: 'ice-config', ...buildIceConfig(iceSettings, getClientId(ws)) }));
+  ws.send(getRoomListMessage(ws));
 
   ws.on('message', (data) => {
+    let message;
     try {
-      const message = JSON.parse(data);
-      handleMessage(ws, message);
+      message = JSON.parse(data);
     } catch (e) {
-      console.error('Invalid message:', e);
+      // Rejected messages draw from the signaling bucket too, so a flood of them is throttled before it is logged
+      if (allowMessage(ws, null, 'signaling')) {
+        sendProtocolError(ws, { code: 'INVALID_JSON', messageType: null, error: 'Message is not valid JSON.' });
+      }
+      return;
+    }
+
+    touchParticipant(ws);
+
+    const problem = validateMessage(message);
+    if (problem) {
+      if (allowMessage(ws, problem.messageType, 'signaling')) {
+        sendProtocolError(ws, problem);
+      }
+      return;
     }
+
+    if (!allowMessage(ws, message.type, plugins.getRateClass(message.type))) return;
+
+    messagesHandled.inc({ type: message.type });
+    handleMessage(ws, message).catch(e => {
+      log.error('handler-failed', 'Error handling message', { ...socketContext(ws), messageType: message.type, error: e });
+    });
   });
 
   ws.on('close', () => {
-    console.log('Client disconnected:', getClientId(ws));
-    leaveRoom(ws);
+    log.info('client-disconnected', 'Client disconnected', socketContext(ws));
+    adminSubscribers.delete(ws);
+    if (localClients.get(getClientId(ws)) === ws) {
+      localClients.delete(getClientId(ws));
+    }
+
+    const remaining = ipConnectionCounts.get(ip) - 1;
+    if (remaining > 0) {
+      ipConnectionCounts.set(ip, remaining);
+    } else {
+      ipConnectionCounts.delete(ip);
+    }
+
+    if (!suspendSession(ws)) {
+      leaveRoom(ws);
+    }
   });
 });
 
+/**
+ * Ping every socket and terminate those that didn't answer the previous ping
+ * Terminated sockets go through the normal close path (session hold, then leaveRoom)
+ */
+function checkLiveness() {
+  wss.clients.forEach(ws => {
+    if (!clientAlive.get(ws)) {
+      log.warn('client-unresponsive', 'Terminating unresponsive connection', socketContext(ws));
+      ws.terminate();
+      return;
+    }
+
+    clientAlive.set(ws, false);
+    ws.ping();
+  });
+}
+
+const livenessTimer = setInterval(checkLiveness, config.heartbeatInterval);
+wss.on('close', () => clearInterval(livenessTimer));
+
+/**
+ * Charge a message to its rate limit bucket; over the limit the client is told, and disconnected once it keeps going
+ * `messageClass` defaults to the built-in class of the type. Returns false if the message must be dropped
+ */
+function allowMessage(ws, messageType, messageClass) {
+  const limit = checkRateLimit(clientLimiters.get(ws), messageType, config, messageClass);
+  if (limit.allowed) return true;
+
+  sendTo(ws, { type: 'rate-limited', messageType, retryAfter: limit.retryAfter });
+  if (limit.disconnect) {
+    log.warn('rate-limit-disconnect', 'Disconnecting client for repeatedly exceeding rate limits', {
+      ...socketContext(ws),
+      messageType
+    });
+    ws.close(1008, 'Rate limit exceeded');
+  }
+  return false;
+}
+
+/**
+ * Reject a message that failed parsing or schema validation
+ */
+function sendProtocolError(ws, problem) {
+  log.warn('protocol-error', 'Rejected invalid message', {
+    ...socketContext(ws),
+    code: problem.code,
+    messageType: problem.messageType,
+    reason: problem.error
+  });
+  sendTo(ws, {
+    type: 'protocol-error',
+    code: problem.code,
+    messageType: problem.messageType,
+    error: problem.error
+  });
+}
+
+/**
+ * Get the room a socket broadcasts in, or reject a broadcaster-only request
+ */
+function getBroadcasterRoom(ws, messageType) {
+  const room = rooms.get(clientRooms.get(ws));
+  if (room && room.broadcaster === ws) return room;
+
+  sendTo(ws, {
+    type: 'request-rejected',
+    messageType,
+    code: 'NOT_BROADCASTER',
+    error: 'Only the broadcaster can do that.'
+  });
+  return null;
+}
+
 /**
  * Handle incoming WebSocket messages
+ * Messages have already passed schema validation
  */
-function handleMessage(ws, message) {
+async function handleMessage(ws, message) {
   switch (message.type) {
     // ============================================
     // Heartbeat
@@ -349,170 +2028,218 @@ function handleMessage(ws, message) {
     // Room Management
     // ============================================
     case 'create-room': {
-      const result = createRoom(ws, message.name, message.key);
+      const result = await plugins.run('createRoom', {
+        ws,
+        name: message.name,
+        key: message.key,
+        capacity: message.capacity,
+        visibility: message.visibility,
+        knock: message.knock
+      }, request => createRoom(ws, request.name, request.key, request.capacity, request.visibility, request.knock));
       if (result.error) {
-        ws.send(JSON.stringify({ type: 'room-error', code: result.error, error: result.message }));
+        sendRoomError(ws, result.error, result.message);
       } else {
         ws.send(JSON.stringify({
           type: 'room-created',
           roomId: result.roomId,
           name: result.name,
-          role: result.role
+          role: result.role,
+          ownerKey: result.ownerKey,
+          clientId: getClientId(ws),
+          resumeToken: result.resumeToken
         }));
       }
       break;
     }
 
     case 'join-room': {
-      const result = joinRoom(ws, message.roomId, message.key);
+      if (message.browserId) {
+        clientBrowsers.set(ws, message.browserId);
+      }
+
+      // Prefer resuming a held session; fall back to the room key if the token is stale
+      const result = await plugins.run('joinRoom', {
+        ws,
+        roomId: message.roomId,
+        key: message.key,
+        invite: message.invite,
+        resumeToken: message.resumeToken,
+        displayName: message.displayName
+      }, request => (request.resumeToken && resumeSession(ws, request.roomId, request.resumeToken)) ||
+        joinRoom(ws, request.roomId, request.key, request.invite, request.displayName));
       if (result.error) {
-        ws.send(JSON.stringify({ type: 'room-error', code: result.error, error: result.message }));
+        sendRoomError(ws, result.error, result.message, { retryAfter: result.retryAfter });
+      } else if (result.pending) {
+        sendTo(ws, { type: 'knock-pending', roomId: result.roomId, name: result.name });
       } else {
-        ws.send(JSON.stringify({
-          type: 'room-joined',
-          roomId: result.roomId,
-          name: result.name,
-          role: result.role
-        }));
+        sendRoomJoined(ws, result);
       }
       break;
     }
 
-    case 'leave-room':
-      leaveRoom(ws);
-      ws.send(JSON.stringify({ type: 'room-left' }));
+    case 'leave-room': {
+      const result = plugins.run('leaveRoom', { ws, roomId: clientRooms.get(ws) || null }, () => {
+        leaveRoom(ws);
+        return { success: true };
+      });
+      if (result.error) {
+        sendTo(ws, { type: 'request-rejected', messageType: 'leave-room', code: result.error, error: result.message });
+      } else {
+        ws.send(JSON.stringify({ type: 'room-left' }));
+      }
       break;
+    }
 
     case 'get-room-list':
-      ws.send(JSON.stringify({ type: 'room-list', rooms: getRoomList() }));
+      ws.send(getRoomListMessage(ws));
       break;
 
     // ============================================
-    // WebRTC Signaling (within rooms)
+    // Waiting Room (broadcaster only)
     // ============================================
-    case 'broadcaster-ready': {
-      const roomId = clientRooms.get(ws);
-      if (!roomId) break;
-
-      const room = rooms.get(roomId);
+    case 'approve-knock':
+    case 'deny-knock': {
+      const room = getBroadcasterRoom(ws, message.type);
       if (!room) break;
 
-      // If there's a viewer waiting, notify broadcaster
-      if (room.viewer) {
-        ws.send(JSON.stringify({
-          type: 'viewer-joined',
-          viewerId: getClientId(room.viewer)
-        }));
+      const approved = message.type === 'approve-knock';
+      if (!answerKnock(room, message.requestId, approved)) {
+        // The viewer may be waiting on another instance
+        publishCluster('knock-answered', { roomId: room.id, requestId: message.requestId, approved });
       }
       break;
     }
 
-    case 'viewer-join': {
-      const roomId = clientRooms.get(ws);
-      if (!roomId) break;
+    // ============================================
+    // Moderation (broadcaster only)
+    // ============================================
+    case 'list-participants': {
+      const room = getBroadcasterRoom(ws, message.type);
+      if (room) {
+        sendTo(ws, { type: 'participant-list', participants: listParticipants(room) });
+      }
+      break;
+    }
 
-      const room = rooms.get(roomId);
+    case 'kick-participant':
+    case 'ban-participant': {
+      const room = getBroadcasterRoom(ws, message.type);
       if (!room) break;
 
-      if (room.broadcaster) {
-        room.broadcaster.send(JSON.stringify({
-          type: 'viewer-joined',
-          viewerId: getClientId(ws)
-        }));
+      if (!room.viewers.has(message.clientId)) {
+        sendTo(ws, { type: 'request-rejected', messageType: message.type, code: 'NOT_A_VIEWER', error: 'That viewer is no longer in the room.' });
+        break;
+      }
+      if (message.type === 'kick-participant') {
+        kickClient(message.clientId, null, 'broadcaster');
       } else {
-        ws.send(JSON.stringify({ type: 'no-broadcaster' }));
+        banParticipant(room, message.clientId);
       }
       break;
     }
 
-    case 'offer': {
-      const roomId = clientRooms.get(ws);
-      if (!roomId) break;
+    case 'lock-room': {
+      const room = getBroadcasterRoom(ws, message.type);
+      if (!room) break;
+
+      setRoomLock(room, message.locked);
+      sendTo(ws, { type: 'room-lock-changed', locked: room.locked });
+      break;
+    }
+
+    case 'change-room-key': {
+      const room = getBroadcasterRoom(ws, message.type);
+      if (!room) break;
 
-      const room = rooms.get(roomId);
-      if (!room || !room.viewer) break;
+      // Whoever knows the owner key joins as the broadcaster, so it can't double as the viewer key
+      if (await validateKey(message.key, room.keySalt, room.ownerKeyHash)) {
+        sendTo(ws, { type: 'request-rejected', messageType: message.type, code: 'OWNER_KEY_REUSED', error: "The viewer key can't be the same as the owner key." });
+        break;
+      }
 
-      room.viewer.send(JSON.stringify({
-        type: 'offer',
-        offer: message.offer
-      }));
+      if (!(await setRoomKey(room, message.key))) break;
+      log.info('room-key-rotated', 'Viewer key changed by broadcaster', socketContext(ws));
+      audit.record('room-key-rotated', { ...socketContext(ws), by: 'broadcaster' });
+      sendTo(ws, { type: 'room-key-changed' });
       break;
     }
 
-    case 'answer': {
-      const roomId = clientRooms.get(ws);
-      if (!roomId) break;
+    // ============================================
+    // Invite Links (broadcaster only)
+    // ============================================
+    case 'create-invite': {
+      const room = getBroadcasterRoom(ws, message.type);
+      if (!room) break;
 
-      const room = rooms.get(roomId);
-      if (!room || !room.broadcaster) break;
+      const result = createInvite(room, inviteSecret, {
+        role: message.role || 'viewer',
+        expiresIn: message.expiresIn || Math.min(DEFAULT_INVITE_TTL, config.inviteMaxTtl),
+        maxUses: message.maxUses || 1
+      });
+      if (result.error) {
+        sendTo(ws, { type: 'request-rejected', messageType: message.type, code: result.error, error: result.message });
+        break;
+      }
 
-      room.broadcaster.send(JSON.stringify({
-        type: 'answer',
-        viewerId: getClientId(ws),
-        answer: message.answer
-      }));
+      saveRoom(room);
+      const { invite } = result;
+      log.info('invite-created', 'Invite link created', { ...socketContext(ws), inviteId: invite.id, role: invite.role, maxUses: invite.maxUses });
+      audit.record('invite-created', {
+        ...socketContext(ws),
+        inviteId: invite.id,
+        role: invite.role,
+        maxUses: invite.maxUses,
+        expiresAt: invite.expiresAt
+      });
+      sendTo(ws, { type: 'invite-created', invite: { ...invite, token: result.token } });
+      sendTo(ws, { type: 'invite-list', invites: listInvites(room, inviteSecret) });
       break;
     }
 
-    case 'ice-candidate': {
-      const roomId = clientRooms.get(ws);
-      if (!roomId) break;
+    case 'list-invites': {
+      const room = getBroadcasterRoom(ws, message.type);
+      if (room) {
+        sendTo(ws, { type: 'invite-list', invites: listInvites(room, inviteSecret) });
+      }
+      break;
+    }
 
-      const room = rooms.get(roomId);
+    case 'revoke-invite': {
+      const room = getBroadcasterRoom(ws, message.type);
       if (!room) break;
 
-      if (ws === room.broadcaster && room.viewer) {
-        // From broadcaster to viewer
-        room.viewer.send(JSON.stringify({
-          type: 'ice-candidate',
-          candidate: message.candidate
-        }));
-      } else if (ws === room.viewer && room.broadcaster) {
-        // From viewer to broadcaster
-        room.broadcaster.send(JSON.stringify({
-          type: 'ice-candidate',
-          viewerId: getClientId(ws),
-          candidate: message.candidate
-        }));
+      if (revokeInvite(room, message.inviteId)) {
+        saveRoom(room);
+        log.info('invite-revoked', 'Invite link revoked', { ...socketContext(ws), inviteId: message.inviteId });
+        audit.record('invite-revoked', { ...socketContext(ws), inviteId: message.inviteId });
       }
+      sendTo(ws, { type: 'invite-list', invites: listInvites(room, inviteSecret) });
       break;
     }
 
     // ============================================
-    // Chat Messages
+    // Admin Dashboard
     // ============================================
-    case 'chat-message': {
-      const roomId = clientRooms.get(ws);
-      if (!roomId) break;
-
-      const room = rooms.get(roomId);
-      if (!room) break;
-
-      // Validate message
-      if (!message.message || typeof message.message !== 'string') break;
+    case 'admin-subscribe': {
+      if (!matchesToken(message.token, config.adminToken)) {
+        log.warn('admin-subscribe-rejected', 'Rejected admin subscription', socketContext(ws));
+        sendTo(ws, { type: 'admin-error', code: 'UNAUTHORIZED', error: 'Invalid admin token.' });
+        break;
+      }
 
-      const senderRole = room.broadcaster === ws ? 'broadcaster' : 'viewer';
-      const broadcast = JSON.stringify({
-        type: 'chat-broadcast',
-        sender: senderRole,
-        message: message.message.slice(0, 500), // Max 500 chars
+      adminSubscribers.add(ws);
+      sendTo(ws, {
+        type: 'admin-subscribed',
+        rooms: [...rooms.values()].map(getRoomDetails),
         timestamp: Date.now()
       });
-
-      // Broadcast to all room participants
-      if (room.broadcaster && room.broadcaster.readyState === 1) {
-        room.broadcaster.send(broadcast);
-      }
-      if (room.viewer && room.viewer.readyState === 1) {
-        room.viewer.send(broadcast);
-      }
-
-      console.log(`Chat message in room ${roomId} from ${senderRole}`);
+      log.info('admin-subscribed', 'Admin dashboard subscribed', socketContext(ws));
       break;
     }
 
+    // Everything else (signaling, chat, custom types) is handled by plugins
     default:
-      console.log('Unknown message type:', message.type);
+      plugins.dispatch(ws, message);
   }
 }
 
@@ -520,11 +2247,62 @@ function handleMessage(ws, message) {
 // Start Server
 // ============================================
 
-server.listen(PORT, HOST, () => {
-  const protocol = useHttps ? 'https' : 'http';
-  console.log(`\n🚀 Server running at ${protocol}://${HOST}:${PORT}\n`);
-  if (useHttps) {
-    console.log('⚠️  Your browser will show a security warning for the self-signed certificate.');
-    console.log('   Click "Advanced" → "Proceed" to continue.\n');
-  }
+setInterval(keyAttempts.prune, config.attemptWindow).unref();
+
+/**
+ * Drain and stop the server
+ * Clients are told to reconnect, get the drain period to wind down, then every socket is closed
+ */
+function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  const drainPeriod = config.shutdownDrainPeriod;
+  log.info('shutdown-started', `${signal} received, draining connections`, { connections: wss.clients.size, drainPeriod });
+
+  const notice = JSON.stringify({
+    type: 'server-shutdown',
+    message: 'The server is restarting.',
+    retryAfter: Math.ceil(drainPeriod / 1000) // Seconds until the connection closes
+  });
+  wss.clients.forEach(client => {
+    if (client.readyState === 1) {
+      client.send(notice);
+    }
+  });
+
+  setTimeout(() => {
+    log.info('shutdown-closing', 'Drain period over, closing connections', { connections: wss.clients.size });
+    wss.clients.forEach(client => client.close(1001, 'Server restarting'));
+    wss.close();
+    server.close(() => process.exit(0));
+
+    // Don't let a stuck socket hold the process open
+    setTimeout(() => process.exit(0), 5000).unref();
+  }, drainPeriod);
+}
+
+// Platforms send SIGTERM before a restart; Ctrl+C (SIGINT) still stops immediately
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+// Rooms and cluster state must be in place before the first client connects
+(async () => {
+  await adapter.ready();
+  await restoreRooms();
+  joinCluster();
+
+  server.listen(config.port, HOST, () => {
+    const protocol = useHttps ? 'https' : 'http';
+    log.info('server-started', `Server running at ${protocol}://${HOST}:${config.port}`, {
+      host: HOST,
+      port: config.port,
+      instanceId: adapter.instanceId
+    });
+    if (useHttps) {
+      log.info('self-signed-certificate', 'Browsers will warn about a self-signed certificate; choose "Advanced" then "Proceed"');
+    }
+  });
+})().catch(e => {
+  log.error('startup-failed', 'Server failed to start', { error: e });
+  process.exit(1);
 });
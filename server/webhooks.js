@@ -0,0 +1,204 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// ============================================
+// Webhooks
+// ============================================
+//
+// Room events are POSTed as JSON to every endpoint subscribed to them:
+//
+//   {"id":"evt-3f9a...","event":"viewer-joined","timestamp":1700000000000,
+//    "data":{"roomId":"room-1a2b3c4d","clientId":"client-9e5406-3","viewers":2}}
+//
+// Each request carries:
+//   X-StreamHQ-Event       event name
+//   X-StreamHQ-Delivery    event ID, the same on every retry
+//   X-StreamHQ-Timestamp   seconds since the epoch when this attempt was sent
+//   X-StreamHQ-Signature   sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the endpoint secret>
+//
+// Deliveries wait in a bounded queue and are retried with exponential backoff
+// after network errors, timeouts, 408, 429 and 5xx responses, so a slow
+// receiver never holds up signaling. When the queue is full new deliveries
+// are dropped and logged.
+
+const WEBHOOK_EVENTS = ['room-created', 'stream-started', 'viewer-joined', 'viewer-left', 'room-deleted'];
+
+const MAX_CONCURRENT_DELIVERIES = 4;
+const RETRY_BASE_DELAY = 1000; // Doubles after every failed attempt, in ms
+const RETRY_MAX_DELAY = 5 * 60 * 1000;
+
+/**
+ * Build the endpoint list from the server config and the optional webhook config file
+ *
+ * File format ("events" defaults to every event, "secret" to WEBHOOK_SECRET):
+ * {
+ *   "endpoints": [
+ *     { "url": "https://tools.example.com/hooks/streamhq", "events": ["room-created", "room-deleted"], "secret": "..." }
+ *   ]
+ * }
+ */
+function loadWebhookSettings(config) {
+  let file = {};
+  if (config.webhookConfigFile) {
+    file = JSON.parse(fs.readFileSync(config.webhookConfigFile, 'utf8'));
+  }
+
+  const endpoints = [
+    ...(file.endpoints || []),
+    ...config.webhookUrls.map(url => ({ url })) // Subscribed to every event
+  ].map(endpoint => ({
+    url: endpoint.url,
+    events: endpoint.events || WEBHOOK_EVENTS,
+    secret: endpoint.secret || config.webhookSecret
+  }));
+
+  for (const endpoint of endpoints) {
+    let target;
+    try {
+      target = new URL(endpoint.url);
+    } catch (e) {
+      throw new Error(`Webhook URL is invalid: ${endpoint.url}`);
+    }
+    if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+      throw new Error(`Webhook URL must use http or https: ${endpoint.url}`);
+    }
+
+    const unknown = endpoint.events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown webhook events for ${endpoint.url}: ${unknown.join(', ')} (expected ${WEBHOOK_EVENTS.join(', ')})`);
+    }
+    if (!endpoint.secret) {
+      throw new Error(`Webhook endpoint ${endpoint.url} has no secret; set WEBHOOK_SECRET or "secret" in the webhook config file`);
+    }
+
+    // Query strings may hold credentials, so logs only show the origin and path
+    endpoint.label = target.origin + target.pathname;
+  }
+
+  return endpoints;
+}
+
+/**
+ * Sign a request body for an endpoint
+ */
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Create the dispatcher that queues and delivers webhook events
+ * Delivery outcomes are counted in `metrics` and failures are logged
+ */
+function createWebhookDispatcher(endpoints, config, { log, metrics }) {
+  const queue = []; // Deliveries ready to be sent
+  let inFlight = 0;
+  let retrying = 0; // Deliveries waiting out a backoff delay
+
+  const deliveries = metrics.counter('streamhq_webhook_deliveries_total', 'Webhook delivery attempts, by event and result');
+  metrics.gauge('streamhq_webhook_queue_depth', 'Webhook deliveries queued, in flight or waiting to retry', () => pendingCount());
+
+  function pendingCount() {
+    return queue.length + inFlight + retrying;
+  }
+
+  /**
+   * Start deliveries until the concurrency limit is reached
+   */
+  function pump() {
+    while (inFlight < MAX_CONCURRENT_DELIVERIES && queue.length > 0) {
+      const delivery = queue.shift();
+      inFlight++;
+      attempt(delivery).finally(() => {
+        inFlight--;
+        pump();
+      });
+    }
+  }
+
+  /**
+   * Send one delivery, scheduling a retry if it failed in a way that may pass
+   */
+  async function attempt(delivery) {
+    const { endpoint, event, body } = delivery;
+    const timestamp = Math.floor(Date.now() / 1000);
+    delivery.attempts++;
+
+    let reason;
+    let retryable;
+    try {
+      const res = await fetch(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'StreamHQ-Webhooks',
+          'X-StreamHQ-Event': event,
+          'X-StreamHQ-Delivery': delivery.id,
+          'X-StreamHQ-Timestamp': String(timestamp),
+          'X-StreamHQ-Signature': signPayload(endpoint.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(config.webhookTimeout)
+      });
+      await res.arrayBuffer(); // Drain the body so the connection can be reused
+
+      if (res.ok) {
+        deliveries.inc({ event, result: 'delivered' });
+        log.debug('webhook-delivered', 'Webhook delivered', { webhookEvent: event, endpoint: endpoint.label, attempts: delivery.attempts });
+        return;
+      }
+      reason = `HTTP ${res.status}`;
+      retryable = res.status === 408 || res.status === 429 || res.status >= 500;
+    } catch (e) {
+      reason = e.name === 'TimeoutError' ? `No response within ${config.webhookTimeout}ms` : e.message;
+      retryable = true;
+    }
+
+    if (retryable && delivery.attempts < config.webhookMaxAttempts) {
+      const delay = Math.min(RETRY_BASE_DELAY * Math.pow(2, delivery.attempts - 1), RETRY_MAX_DELAY);
+      deliveries.inc({ event, result: 'retried' });
+      log.warn('webhook-retry', 'Webhook delivery failed, will retry', {
+        webhookEvent: event,
+        endpoint: endpoint.label,
+        attempts: delivery.attempts,
+        reason,
+        retryIn: delay
+      });
+
+      retrying++;
+      setTimeout(() => {
+        retrying--;
+        queue.push(delivery);
+        pump();
+      }, delay).unref();
+      return;
+    }
+
+    deliveries.inc({ event, result: 'failed' });
+    log.error('webhook-failed', 'Webhook delivery failed, giving up', { webhookEvent: event, endpoint: endpoint.label, attempts: delivery.attempts, reason });
+  }
+
+  return {
+    /**
+     * Queue an event for every endpoint subscribed to it; never blocks the caller
+     */
+    emit(event, data) {
+      const subscribed = endpoints.filter(endpoint => endpoint.events.includes(event));
+      if (subscribed.length === 0) return;
+
+      const id = 'evt-' + crypto.randomBytes(8).toString('hex');
+      const body = JSON.stringify({ id, event, timestamp: Date.now(), data });
+
+      for (const endpoint of subscribed) {
+        if (pendingCount() >= config.webhookQueueSize) {
+          deliveries.inc({ event, result: 'dropped' });
+          log.error('webhook-dropped', 'Webhook queue is full, dropping delivery', { webhookEvent: event, endpoint: endpoint.label, queued: pendingCount() });
+          continue;
+        }
+        queue.push({ id, endpoint, event, body, attempts: 0 });
+      }
+      pump();
+    }
+  };
+}
+
+module.exports = { loadWebhookSettings, createWebhookDispatcher, WEBHOOK_EVENTS };
@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createInvite, checkInvite, listInvites, revokeInvite } = require('../server/invites');
+
+// ============================================
+// Invite Links
+// ============================================
+
+const SECRET = 'test-secret';
+
+/**
+ * Create a room with one invite, returning both and the invite's token
+ */
+function roomWithInvite(options = {}) {
+  const room = { id: 'room-0123abcd', invites: [] };
+  const { invite, token } = createInvite(room, SECRET, { role: 'viewer', expiresIn: 3600, maxUses: 2, ...options });
+  return { room, invite, token };
+}
+
+test('grants the invite a valid token names', () => {
+  const { room, invite, token } = roomWithInvite();
+  assert.deepStrictEqual(checkInvite(room, SECRET, token), { invite });
+});
+
+test('rejects tokens that are forged, tampered with or for another room', () => {
+  const { room, token } = roomWithInvite();
+  const other = roomWithInvite();
+  const [payload, signature] = token.split('.');
+
+  for (const candidate of [
+    'not-a-token',
+    `${payload}.${signature.slice(1)}`,
+    `${Buffer.from('{"iid":"x","rid":"room-0123abcd","role":"viewer"}').toString('base64url')}.${signature}`,
+    roomWithInvite().token.replace(/\.[^.]*$/, `.${signature}`)
+  ]) {
+    assert.strictEqual(checkInvite(room, SECRET, candidate).error, 'INVALID_INVITE');
+  }
+  assert.strictEqual(checkInvite(room, 'another-secret', token).error, 'INVALID_INVITE');
+
+  other.room.id = 'room-99999999';
+  assert.strictEqual(checkInvite(other.room, SECRET, other.token).error, 'INVALID_INVITE');
+});
+
+test('rejects expired invites', () => {
+  const { room, invite, token } = roomWithInvite();
+  invite.expiresAt = Date.now() - 1;
+
+  assert.strictEqual(checkInvite(room, SECRET, token).error, 'INVALID_INVITE');
+  assert.deepStrictEqual(listInvites(room, SECRET), []);
+});
+
+test('rejects revoked invites', () => {
+  const { room, invite, token } = roomWithInvite();
+
+  assert.strictEqual(revokeInvite(room, invite.id), true);
+  assert.strictEqual(revokeInvite(room, invite.id), false);
+  assert.strictEqual(checkInvite(room, SECRET, token).error, 'INVITE_REVOKED');
+});
+
+test('rejects invites that were used up', () => {
+  const { room, invite, token } = roomWithInvite({ maxUses: 2 });
+
+  invite.uses = 1;
+  assert.deepStrictEqual(checkInvite(room, SECRET, token), { invite });
+  invite.uses = 2;
+  assert.strictEqual(checkInvite(room, SECRET, token).error, 'INVITE_USED_UP');
+  assert.deepStrictEqual(listInvites(room, SECRET), []);
+});
+
+test('treats stored broadcaster invites as revoked', () => {
+  const { room, invite, token } = roomWithInvite();
+  invite.role = 'broadcaster';
+
+  assert.strictEqual(checkInvite(room, SECRET, token).error, 'INVITE_REVOKED');
+});
+
+test('caps the active invites per room', () => {
+  const { room } = roomWithInvite();
+  for (let i = 1; i < 50; i++) {
+    createInvite(room, SECRET, { role: 'viewer', expiresIn: 3600, maxUses: 1 });
+  }
+  assert.strictEqual(createInvite(room, SECRET, { role: 'viewer', expiresIn: 3600, maxUses: 1 }).error, 'TOO_MANY_INVITES');
+
+  // Used-up invites make room for new ones
+  room.invites[0].uses = room.invites[0].maxUses;
+  assert.ok(createInvite(room, SECRET, { role: 'viewer', expiresIn: 3600, maxUses: 1 }).token);
+});
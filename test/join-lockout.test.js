@@ -0,0 +1,137 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const WebSocket = require('ws');
+
+// ============================================
+// Joining Under a Lockout
+// ============================================
+//
+// Starts the real server, since the lockout checks are spread through joinRoom.
+// Only the room-wide limit is low, so the connection and IP limits stay out of the way.
+
+const SERVER = path.join(__dirname, '../server/server.js');
+const TIMEOUT = 5000;
+
+let server;
+let port;
+
+/**
+ * Find a free local port
+ */
+function getFreePort() {
+  return new Promise(resolve => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port: free } = probe.address();
+      probe.close(() => resolve(free));
+    });
+  });
+}
+
+/**
+ * Open a WebSocket to the server
+ * Received messages are queued so next(...types) can pick them out in any order
+ */
+function connect() {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}`);
+    const queue = [];
+    const waiters = [];
+
+    ws.on('message', data => {
+      const message = JSON.parse(data);
+      const waiter = waiters.find(candidate => candidate.types.includes(message.type));
+      if (waiter) {
+        waiters.splice(waiters.indexOf(waiter), 1);
+        clearTimeout(waiter.timer);
+        waiter.resolve(message);
+      } else {
+        queue.push(message);
+      }
+    });
+
+    ws.next = (...types) => new Promise((resolveNext, rejectNext) => {
+      const index = queue.findIndex(message => types.includes(message.type));
+      if (index !== -1) {
+        resolveNext(queue.splice(index, 1)[0]);
+        return;
+      }
+      const timer = setTimeout(() => rejectNext(new Error(`No ${types.join(' or ')} message arrived`)), TIMEOUT);
+      waiters.push({ types, resolve: resolveNext, timer });
+    });
+    ws.sendJson = message => ws.send(JSON.stringify(message));
+
+    ws.on('open', () => resolve(ws));
+    ws.on('error', reject);
+  });
+}
+
+/**
+ * Try to join a room from a new connection and return the reply
+ */
+async function join(roomId, key) {
+  const ws = await connect();
+  ws.sendJson({ type: 'join-room', roomId, key });
+
+  const reply = await ws.next('room-joined', 'room-error');
+  ws.close();
+  return reply;
+}
+
+before(async () => {
+  port = await getFreePort();
+  server = spawn(process.execPath, [SERVER], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      HOST: '127.0.0.1',
+      CERTS_PATH: path.join(__dirname, 'no-certs'),
+      LOG_FORMAT: 'json',
+      ROOM_KEY_ATTEMPTS: '2',
+      CONNECTION_KEY_ATTEMPTS: '50',
+      IP_KEY_ATTEMPTS: '50',
+      LOCKOUT_BASE_DELAY: '60000'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Server did not start')), TIMEOUT);
+    server.stdout.on('data', chunk => {
+      if (String(chunk).includes('"server-started"')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    server.on('exit', code => reject(new Error(`Server exited with code ${code}`)));
+  });
+});
+
+after(() => {
+  server.kill();
+});
+
+test('the owner key still gets in while wrong keys have locked the room', async () => {
+  const owner = await connect();
+  owner.sendJson({ type: 'create-room', name: 'Locked', key: 'viewer-key' });
+  const { roomId, ownerKey } = await owner.next('room-created');
+  owner.sendJson({ type: 'leave-room' });
+  await owner.next('room-left');
+
+  assert.strictEqual((await join(roomId, 'wrong-1')).code, 'INVALID_KEY');
+  assert.strictEqual((await join(roomId, 'wrong-2')).code, 'INVALID_KEY');
+
+  // The room-wide lockout now stops even the right viewer key...
+  const viewer = await join(roomId, 'viewer-key');
+  assert.strictEqual(viewer.code, 'TOO_MANY_ATTEMPTS');
+  assert.ok(viewer.retryAfter > 0);
+
+  // ...but not the owner key
+  const reclaimed = await join(roomId, ownerKey);
+  assert.strictEqual(reclaimed.type, 'room-joined');
+  assert.strictEqual(reclaimed.role, 'broadcaster');
+
+  owner.close();
+});
@@ -0,0 +1,111 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createAttemptTracker } = require('../server/key-attempts');
+
+// ============================================
+// Failed Key Attempts
+// ============================================
+
+const CONFIG = {
+  connectionKeyAttempts: 2,
+  ipKeyAttempts: 3,
+  roomKeyAttempts: 4,
+  lockoutBaseDelay: 1000,
+  lockoutMaxDelay: 4000,
+  attemptWindow: 60000
+};
+
+/**
+ * Record `count` failures for a subject
+ */
+function fail(tracker, subject, count = 1) {
+  for (let i = 0; i < count; i++) {
+    tracker.recordFailure(subject);
+  }
+}
+
+/**
+ * Check a lockout against its expected length, allowing for the time the test took
+ */
+function assertLockout(remaining, expected) {
+  assert.ok(remaining > expected - 100 && remaining <= expected, `expected about ${expected}ms, got ${remaining}ms`);
+}
+
+test('locks a connection out once it reaches its own limit', () => {
+  const tracker = createAttemptTracker(CONFIG);
+  const connection = {};
+
+  fail(tracker, { connection, ip: '10.0.0.1' });
+  assert.strictEqual(tracker.getLockoutRemaining({ connection, ip: '10.0.0.1' }), 0);
+
+  fail(tracker, { connection, ip: '10.0.0.1' });
+  assertLockout(tracker.getLockoutRemaining({ connection, ip: '10.0.0.1' }), 1000);
+
+  // Another connection from the same address is still below the IP limit
+  assert.strictEqual(tracker.getLockoutRemaining({ connection: {}, ip: '10.0.0.1' }), 0);
+});
+
+test('locks an IP out across connections', () => {
+  const tracker = createAttemptTracker(CONFIG);
+
+  for (let i = 0; i < 3; i++) {
+    fail(tracker, { connection: {}, ip: '10.0.0.2' });
+  }
+  assertLockout(tracker.getLockoutRemaining({ connection: {}, ip: '10.0.0.2' }), 1000);
+  assert.strictEqual(tracker.getLockoutRemaining({ connection: {}, ip: '10.0.0.3' }), 0);
+});
+
+test('locks a room out across clients, but only when the room scope is asked for', () => {
+  const tracker = createAttemptTracker(CONFIG);
+
+  for (let i = 0; i < 4; i++) {
+    fail(tracker, { connection: {}, ip: `10.0.1.${i}`, roomId: 'room-1' });
+  }
+  const newcomer = { connection: {}, ip: '10.0.1.99' };
+  assertLockout(tracker.getLockoutRemaining({ ...newcomer, roomId: 'room-1' }), 1000);
+  assert.strictEqual(tracker.getLockoutRemaining(newcomer), 0);
+  assert.strictEqual(tracker.getLockoutRemaining({ ...newcomer, roomId: 'room-2' }), 0);
+});
+
+test('doubles the lockout with each failure past the limit, up to the maximum', () => {
+  const tracker = createAttemptTracker(CONFIG);
+  const subject = { connection: {} };
+
+  fail(tracker, subject, 2);
+  assertLockout(tracker.getLockoutRemaining(subject), 1000);
+  fail(tracker, subject);
+  assertLockout(tracker.getLockoutRemaining(subject), 2000);
+  fail(tracker, subject);
+  assertLockout(tracker.getLockoutRemaining(subject), 4000);
+  fail(tracker, subject);
+  assertLockout(tracker.getLockoutRemaining(subject), 4000);
+});
+
+test('clearing a client forgets its connection and IP counts, not the room count', () => {
+  const tracker = createAttemptTracker(CONFIG);
+  const subject = { connection: {}, ip: '10.0.0.4', roomId: 'room-1' };
+
+  fail(tracker, subject, 4);
+  tracker.clearClient(subject);
+  assert.strictEqual(tracker.getLockoutRemaining({ connection: subject.connection, ip: subject.ip }), 0);
+  assertLockout(tracker.getLockoutRemaining(subject), 1000);
+
+  tracker.clearRoom('room-1');
+  assert.strictEqual(tracker.getLockoutRemaining(subject), 0);
+});
+
+test('forgets failures once the attempt window has passed', async () => {
+  const tracker = createAttemptTracker({ ...CONFIG, attemptWindow: 20 });
+  const subject = { connection: {}, ip: '10.0.0.5', roomId: 'room-1' };
+
+  fail(tracker, subject, 2);
+  assert.ok(tracker.getLockoutRemaining(subject) > 0);
+
+  await new Promise(resolve => setTimeout(resolve, 40));
+  tracker.prune();
+  assert.strictEqual(tracker.getLockoutRemaining(subject), 0);
+
+  // The count starts over too
+  fail(tracker, subject);
+  assert.strictEqual(tracker.getLockoutRemaining(subject), 0);
+});
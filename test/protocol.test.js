@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadConfig } = require('../server/config');
+const { createValidator } = require('../server/protocol');
+
+// ============================================
+// Signaling Message Schemas
+// ============================================
+
+const config = loadConfig({ argv: [], env: {} });
+const validate = createValidator(config, new Map([
+  ['echo', { text: { type: 'string', required: true, maxLength: 10 } }]
+]));
+
+test('accepts valid messages', () => {
+  assert.strictEqual(validate({ type: 'ping' }), null);
+  assert.strictEqual(validate({ type: 'join-room', roomId: 'room-0123abcd', key: 'secret' }), null);
+  assert.strictEqual(validate({ type: 'echo', text: 'hi' }), null);
+});
+
+test('rejects anything but a JSON object', () => {
+  for (const message of [null, 'ping', 42, [{ type: 'ping' }]]) {
+    assert.deepStrictEqual(validate(message), {
+      code: 'INVALID_MESSAGE',
+      messageType: null,
+      error: 'Message must be a JSON object.'
+    });
+  }
+});
+
+test('rejects unknown types, including inherited property names', () => {
+  for (const type of ['nope', 'constructor', '__proto__', undefined, 7]) {
+    assert.strictEqual(validate({ type }).code, 'UNKNOWN_TYPE');
+  }
+});
+
+test('rejects fields that break their rule', () => {
+  const cases = [
+    [{ type: 'join-room' }, 'roomId is required'],
+    [{ type: 'join-room', roomId: 12 }, 'roomId must be of type string'],
+    [{ type: 'join-room', roomId: 'room-XYZ' }, 'roomId has an invalid format'],
+    [{ type: 'create-room', key: 'abc' }, 'key is too short'],
+    [{ type: 'create-room', key: 'abcd', name: 'x'.repeat(31) }, 'name is too long'],
+    [{ type: 'create-room', key: 'abcd', capacity: 1.5 }, 'capacity must be of type integer'],
+    [{ type: 'create-room', key: 'abcd', capacity: 0 }, 'capacity must be >= 1'],
+    [{ type: 'create-room', key: 'abcd', capacity: config.maxViewersPerRoom + 1 }, `capacity must be <= ${config.maxViewersPerRoom}`],
+    [{ type: 'create-room', key: 'abcd', visibility: 'secret' }, 'visibility must be one of public, unlisted, private'],
+    [{ type: 'create-invite', role: 'broadcaster' }, 'role must be one of viewer'],
+    [{ type: 'echo', text: 'far too long' }, 'text is too long']
+  ];
+
+  for (const [message, error] of cases) {
+    assert.deepStrictEqual(validate(message), { code: 'INVALID_FIELD', messageType: message.type, error });
+  }
+});
+
+test('sees plugin schemas registered after the validator was created', () => {
+  const schemas = new Map();
+  const validateLive = createValidator(config, schemas);
+  assert.strictEqual(validateLive({ type: 'late' }).code, 'UNKNOWN_TYPE');
+
+  schemas.set('late', {});
+  assert.strictEqual(validateLive({ type: 'late' }), null);
+});
@@ -0,0 +1,205 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { createRedisAdapter } = require('../server/redis-adapter');
+
+// ============================================
+// Redis Adapter
+// ============================================
+//
+// Runs against a small in-process RESP server that understands the commands
+// the adapter sends, so no real Redis is needed.
+
+const silentLog = { debug() { }, info() { }, warn() { }, error() { } };
+
+/**
+ * Encode a reply value as RESP
+ */
+function encodeReply(value) {
+  if (typeof value === 'number') return `:${value}\r\n`;
+  if (Array.isArray(value)) return `*${value.length}\r\n` + value.map(encodeReply).join('');
+  return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+/**
+ * Parse one RESP command (an array of bulk strings)
+ * Returns { args, offset } or null if the buffer doesn't hold a complete command yet
+ */
+function parseCommand(buffer) {
+  let lineEnd = buffer.indexOf('\r\n');
+  if (lineEnd === -1) return null;
+
+  const count = Number(buffer.toString('utf8', 1, lineEnd));
+  const args = [];
+  let offset = lineEnd + 2;
+  for (let i = 0; i < count; i++) {
+    lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+    const length = Number(buffer.toString('utf8', offset + 1, lineEnd));
+    if (buffer.length < lineEnd + 2 + length + 2) return null;
+    args.push(buffer.toString('utf8', lineEnd + 2, lineEnd + 2 + length));
+    offset = lineEnd + 2 + length + 2;
+  }
+  return { args, offset };
+}
+
+/**
+ * Start a RESP server supporting PUBLISH, SUBSCRIBE, HSET, HDEL and HGETALL
+ * `stop()` on the returned server also drops its open connections
+ */
+function startFakeRedis(port = 0, hashes = new Map()) { // hashes: Map<key, Map<field, value>>
+  const channels = new Map(); // Map<channel, Set<socket>>
+  const sockets = new Set();
+
+  const server = net.createServer(socket => {
+    let buffer = Buffer.alloc(0);
+    sockets.add(socket);
+
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let command;
+      while ((command = parseCommand(buffer))) {
+        buffer = buffer.subarray(command.offset);
+        const [name, ...args] = command.args;
+        socket.write(encodeReply(execute(socket, name.toUpperCase(), args)));
+      }
+    });
+    socket.on('close', () => {
+      sockets.delete(socket);
+      channels.forEach(subscribers => subscribers.delete(socket));
+    });
+    socket.on('error', () => { });
+  });
+
+  function execute(socket, name, [key, field, value]) {
+    switch (name) {
+      case 'PUBLISH': {
+        const subscribers = channels.get(key) || new Set();
+        subscribers.forEach(subscriber => subscriber.write(encodeReply(['message', key, field])));
+        return subscribers.size;
+      }
+      case 'SUBSCRIBE':
+        if (!channels.has(key)) channels.set(key, new Set());
+        channels.get(key).add(socket);
+        return ['subscribe', key, 1];
+      case 'HSET':
+        if (!hashes.has(key)) hashes.set(key, new Map());
+        hashes.get(key).set(field, value);
+        return 1;
+      case 'HDEL':
+        return hashes.has(key) && hashes.get(key).delete(field) ? 1 : 0;
+      case 'HGETALL':
+        return [...(hashes.get(key) || new Map())].flat();
+      default:
+        throw new Error(`Fake Redis doesn't support ${name}`);
+    }
+  }
+
+  server.hashes = hashes;
+  server.stop = () => new Promise(resolve => {
+    sockets.forEach(socket => socket.destroy());
+    server.close(resolve);
+  });
+
+  return new Promise(resolve => {
+    server.listen(port, '127.0.0.1', () => resolve(server));
+  });
+}
+
+/**
+ * Wait until `check` returns true, polling while the sockets do their work
+ */
+async function waitFor(check) {
+  for (let i = 0; i < 300 && !check(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.ok(check(), 'condition was never met');
+}
+
+let server;
+let adapter;
+
+before(async () => {
+  server = await startFakeRedis();
+  adapter = createRedisAdapter({
+    redisUrl: `redis://127.0.0.1:${server.address().port}`,
+    redisKeyPrefix: 'test:',
+    redisConnectTimeout: 2000
+  }, silentLog, 'abc123');
+  await adapter.ready();
+});
+
+after(() => {
+  adapter.close();
+  server.close();
+});
+
+test('delivers published messages to subscribers', async () => {
+  const received = [];
+  adapter.subscribe('cluster', message => received.push(message));
+
+  // The SUBSCRIBE goes out asynchronously, so publish until it has taken effect
+  await waitFor(() => {
+    if (received.length === 0) adapter.publish('cluster', { kind: 'ping', from: 'abc123' });
+    return received.length > 0;
+  });
+  assert.deepStrictEqual(received[0], { kind: 'ping', from: 'abc123' });
+});
+
+test('saves, loads and removes room records', async () => {
+  adapter.store.save({ id: 'room-1', name: 'First' });
+  adapter.store.save({ id: 'room-2', name: 'Second' });
+  adapter.store.remove('room-1');
+
+  // Commands share one connection, so the load runs after the writes
+  const records = await adapter.store.load();
+  assert.deepStrictEqual(records, [{ id: 'room-2', name: 'Second' }]);
+});
+
+test('ready() rejects when Redis is unreachable', async () => {
+  const closed = await startFakeRedis();
+  const { port } = closed.address();
+  await new Promise(resolve => closed.close(resolve));
+
+  const unreachable = createRedisAdapter({
+    redisUrl: `redis://127.0.0.1:${port}`,
+    redisKeyPrefix: 'test:',
+    redisConnectTimeout: 200
+  }, silentLog, 'def456');
+  try {
+    await assert.rejects(unreachable.ready(), /Could not connect to Redis/);
+  } finally {
+    unreachable.close();
+  }
+});
+
+test('retries room writes made while disconnected and reports the reconnect', async () => {
+  let redis = await startFakeRedis();
+  const { port } = redis.address();
+  const flaky = createRedisAdapter({
+    redisUrl: `redis://127.0.0.1:${port}`,
+    redisKeyPrefix: 'test:',
+    redisConnectTimeout: 2000
+  }, silentLog, 'ghi789');
+  let reconnects = 0;
+  flaky.onReconnect(() => reconnects++);
+
+  try {
+    await flaky.ready();
+    await redis.stop();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    // Written while Redis is down; the second save of a room replaces the first
+    flaky.store.save({ id: 'room-1', name: 'Old' });
+    flaky.store.save({ id: 'room-1', name: 'New' });
+    flaky.store.save({ id: 'room-2', name: 'Gone' });
+    flaky.store.remove('room-2');
+
+    redis = await startFakeRedis(port, redis.hashes);
+    await waitFor(() => reconnects > 0);
+    assert.deepStrictEqual(await flaky.store.load(), [{ id: 'room-1', name: 'New' }]);
+  } finally {
+    flaky.close();
+    await redis.stop();
+  }
+});